@@ -0,0 +1,44 @@
+// Fixed-step simulation clock: turns real elapsed time into whole ticks,
+// independent of how often frames are rendered
+export class SimulationClock {
+    constructor(tickLength = 1000) {
+        this.tickLength = tickLength; // ms of real time per tick at 1x
+        this.speed = 1;
+        this.paused = false;
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.maxTicksPerFrame = 32; // a long stall drops its backlog instead of freezing the page
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.paused = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    // Number of ticks to run for a frame at time `now` (ms)
+    update(now) {
+        if (this.lastTime === null) {
+            this.lastTime = now;
+            return 0;
+        }
+        const elapsed = now - this.lastTime;
+        this.lastTime = now;
+        if (this.paused) return 0;
+
+        this.accumulator += elapsed * this.speed;
+        let ticks = Math.floor(this.accumulator / this.tickLength);
+        this.accumulator -= ticks * this.tickLength;
+
+        if (ticks > this.maxTicksPerFrame) {
+            ticks = this.maxTicksPerFrame;
+            this.accumulator = 0;
+        }
+        return ticks;
+    }
+}
+
+SimulationClock.FAST_FORWARD = 16;
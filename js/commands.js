@@ -0,0 +1,255 @@
+import { Policies } from './policies.js';
+import { Terraform } from './terraform.js';
+import { StructureRegistry } from './structures.js';
+
+// Player commands. Everything a player changes in the simulation goes through
+// GameContext.execute, which records it so a session can be replayed from its seed.
+//   { type: 'build', structure: 'farm', x, y }
+//   { type: 'upgrade', x, y }
+//   { type: 'demolish', x, y, refund }   refund is the 0-1 share of costs given back
+//   { type: 'policy', name, value }      see Policies; rates are 0-1, toggles true/false
+//   { type: 'loan', amount }
+//   { type: 'repay', id }                pay off a loan early
+//   { type: 'plant', x, y }              plant trees on open land
+//   { type: 'terraform', action, x, y }  raise, lower, flatten, fill or clear; see Terraform
+//   { type: 'road', tiles: [{ x, y }] }  lay road along a dragged path
+// Undo runs the inverse command a successful command returns as `undo`:
+//   { type: 'restore', structure, charge }   put a demolished structure back
+//   { type: 'downgrade', x, y, refund }      take an upgrade back
+//   { type: 'uproot', x, y, refund }         take planted trees back out
+//   { type: 'reshape', x, y, tile, refund, charge }   put terraformed tile fields back
+//   { type: 'unroad', tiles, refund }        take a laid road back up
+export class Commands {
+    static execute(context, command) {
+        const { world, economy, gameState } = context;
+        switch (command.type) {
+            case 'build': {
+                const result = economy.buildStructure(world.getTile(command.x, command.y), command.structure);
+                if (!result.success) return result;
+                return { success: true, undo: { type: 'demolish', x: command.x, y: command.y, refund: 1 } };
+            }
+            case 'upgrade': {
+                const tile = world.getTile(command.x, command.y);
+                const result = economy.upgradeStructure(tile);
+                if (!result.success) return result;
+                const cost = economy.getUpgradeCost(tile.structure.type, tile.structure.level);
+                return { success: true, undo: { type: 'downgrade', x: command.x, y: command.y, refund: cost } };
+            }
+            case 'demolish': {
+                const structure = world.getTile(command.x, command.y).structure;
+                if (!structure) {
+                    return { success: false, reason: 'Nothing to demolish' };
+                }
+                const refund = economy.getDemolishRefund(structure, command.refund || 0);
+                economy.destroyStructure(command.x, command.y);
+                economy.addResources(refund);
+                gameState.addMessage(`Demolished ${structure.type} at (${command.x}, ${command.y})`, 'info', structure);
+                return { success: true, undo: { type: 'restore', structure: JSON.parse(JSON.stringify(structure)), charge: refund } };
+            }
+            case 'restore': {
+                const structure = JSON.parse(JSON.stringify(command.structure));
+                if (world.getTile(structure.x, structure.y).structure) {
+                    return { success: false, reason: 'Tile already occupied' };
+                }
+                const missing = economy.getMissingResource(command.charge);
+                if (missing) {
+                    return { success: false, reason: `Not enough ${missing} to give back the refund` };
+                }
+                economy.spendResources(command.charge);
+                economy.placeStructure(structure);
+                return { success: true };
+            }
+            case 'downgrade': {
+                const result = economy.downgradeStructure(world.getTile(command.x, command.y));
+                if (!result.success) return result;
+                economy.addResources(command.refund);
+                return { success: true };
+            }
+            case 'policy': {
+                const error = Policies.validate(command.name, command.value);
+                if (error) {
+                    return { success: false, reason: error };
+                }
+                const previous = gameState.policies[command.name];
+                gameState.policies[command.name] = command.value;
+                return { success: true, undo: { type: 'policy', name: command.name, value: previous } };
+            }
+            case 'loan': {
+                const result = economy.takeLoan(command.amount);
+                if (!result.success) return result;
+                return { success: true, undo: { type: 'repay', id: result.loan.id } };
+            }
+            case 'repay': {
+                const result = economy.repayLoan(command.id);
+                return { success: result.success, reason: result.reason };
+            }
+            case 'plant': {
+                const result = economy.plantTrees(world.getTile(command.x, command.y));
+                if (!result.success) return result;
+                return { success: true, undo: { type: 'uproot', x: command.x, y: command.y, refund: economy.plantingCost.money } };
+            }
+            case 'uproot': {
+                const tile = world.getTile(command.x, command.y);
+                if (!tile.isForest) {
+                    return { success: false, reason: 'No trees to uproot' };
+                }
+                tile.isForest = false;
+                tile.forestHealth = 0;
+                economy.debit('forestry', -command.refund); // nets out the planting in the ledger
+                return { success: true };
+            }
+            case 'terraform': {
+                const result = economy.terraform(world.getTile(command.x, command.y), command.action);
+                if (!result.success) return result;
+                return { success: true, undo: { type: 'reshape', x: command.x, y: command.y, tile: result.previous, refund: result.cost, charge: result.gain } };
+            }
+            case 'reshape': {
+                const tile = world.getTile(command.x, command.y);
+                if (tile.structure) {
+                    return { success: false, reason: 'Tile already occupied' };
+                }
+                const missing = economy.getMissingResource(command.charge);
+                if (missing) {
+                    return { success: false, reason: `Not enough ${missing} to give back` };
+                }
+                economy.spendResources(command.charge);
+                economy.payTerraforming(Object.fromEntries(Object.entries(command.refund).map(([resource, amount]) => [resource, -amount])));
+                tile.applyChanges(command.tile);
+                return { success: true };
+            }
+            case 'road': {
+                const error = Commands.checkRoadTiles(command.tiles, true);
+                if (error) {
+                    return { success: false, reason: error };
+                }
+                const result = economy.buildRoads(command.tiles.map(({ x, y }) => world.getTile(x, y)));
+                if (!result.success) return result;
+                return { success: true, undo: { type: 'unroad', tiles: result.built, refund: result.costs } };
+            }
+            case 'unroad': {
+                const error = Commands.checkRoadTiles(command.tiles, false);
+                if (error) {
+                    return { success: false, reason: error };
+                }
+                const roads = command.tiles.map(({ x, y }) => world.getTile(x, y).structure);
+                if (roads.some(structure => !structure || structure.type !== 'road')) {
+                    return { success: false, reason: 'The road is no longer there' };
+                }
+                command.tiles.forEach(({ x, y }) => economy.destroyStructure(x, y));
+                economy.addResources(command.refund);
+                return { success: true };
+            }
+            default:
+                return { success: false, reason: `Unknown command "${command.type}"` };
+        }
+    }
+
+    // Short description for undo/redo messages and tooltips
+    static describe(command) {
+        switch (command.type) {
+            case 'build':
+                return `build ${command.structure} at (${command.x}, ${command.y})`;
+            case 'policy':
+                return Policies.describe(command.name, command.value);
+            case 'loan':
+                return `$${command.amount} loan`;
+            case 'repay':
+                return 'loan repayment';
+            case 'plant':
+                return `trees planted at (${command.x}, ${command.y})`;
+            case 'road': {
+                const first = command.tiles[0];
+                const last = command.tiles[command.tiles.length - 1];
+                return `road from (${first.x}, ${first.y}) to (${last.x}, ${last.y})`;
+            }
+            case 'terraform':
+                return `${Terraform.ACTIONS[command.action] ? Terraform.ACTIONS[command.action].name.toLowerCase() : command.action} at (${command.x}, ${command.y})`;
+            default:
+                return `${command.type} at (${command.x}, ${command.y})`;
+        }
+    }
+
+    // Dragging a slider sends a change per step; these count as one change to the same setting
+    static isSameSetting(a, b) {
+        return a.type === 'policy' && b.type === 'policy' && a.name === b.name;
+    }
+
+    static isKnown(type) {
+        return Commands.TYPES.includes(type);
+    }
+
+    // Returns what is wrong with a command's fields, or null. Commands from the
+    // game are always well formed; this is for ones read back from a file.
+    static validate(command) {
+        const isPosition = value => Commands.isObject(value) && Number.isInteger(value.x) && Number.isInteger(value.y);
+        const isResources = value => Commands.isObject(value) && Object.values(value).every(Number.isFinite);
+        if (Commands.POSITIONED.includes(command.type) && !isPosition(command)) {
+            return 'has no integer x/y position';
+        }
+        switch (command.type) {
+            case 'build':
+                return StructureRegistry.has(command.structure) ? null : `has unknown structure "${command.structure}"`;
+            case 'demolish':
+                return command.refund === undefined || Number.isFinite(command.refund) ? null : 'has no refund share';
+            case 'downgrade':
+                return isResources(command.refund) ? null : 'has no refund';
+            case 'uproot':
+                return Number.isFinite(command.refund) ? null : 'has no refund';
+            case 'terraform':
+                return Terraform.ACTIONS[command.action] ? null : `has unknown action "${command.action}"`;
+            case 'reshape':
+                return Commands.isObject(command.tile) && isResources(command.refund) && isResources(command.charge) ? null : 'has no tile fields, refund or charge';
+            case 'policy':
+                return Policies.get(command.name) ? null : `has unknown policy "${command.name}"`;
+            case 'loan':
+                return Number.isFinite(command.amount) ? null : 'has no amount';
+            case 'repay':
+                return Number.isInteger(command.id) ? null : 'has no loan id';
+            case 'restore': {
+                const structure = command.structure;
+                if (!isPosition(structure) || !StructureRegistry.has(structure.type) || !Number.isInteger(structure.level) || !Commands.isObject(structure.data)) {
+                    return 'has no structure to restore';
+                }
+                return isResources(command.charge) ? null : 'has no charge';
+            }
+            case 'road':
+            case 'unroad': {
+                const error = Commands.checkRoadTiles(command.tiles, command.type === 'road');
+                if (error) return `has bad tiles: ${error.toLowerCase()}`;
+                return command.type === 'road' || isResources(command.refund) ? null : 'has no refund';
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Why a road's tiles cannot be used, or null. A drawn road steps from each
+    // tile to a neighbouring one; the tiles an undo takes back up are only the
+    // ones that were built, so they need not touch.
+    static checkRoadTiles(tiles, adjacent) {
+        if (!Array.isArray(tiles) || tiles.length === 0) {
+            return 'A road needs a list of tiles';
+        }
+        if (tiles.length > Commands.maxRoadLength) {
+            return `A road can be at most ${Commands.maxRoadLength} tiles long`;
+        }
+        for (let i = 0; i < tiles.length; i++) {
+            const tile = tiles[i];
+            if (!Commands.isObject(tile) || !Number.isInteger(tile.x) || !Number.isInteger(tile.y)) {
+                return 'Road tiles need integer x/y positions';
+            }
+            if (adjacent && i > 0 && Math.abs(tile.x - tiles[i - 1].x) + Math.abs(tile.y - tiles[i - 1].y) !== 1) {
+                return `Road tile (${tile.x}, ${tile.y}) is not next to the one before it`;
+            }
+        }
+        return null;
+    }
+
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+Commands.TYPES = ['build', 'upgrade', 'demolish', 'policy', 'restore', 'downgrade', 'loan', 'repay', 'plant', 'uproot', 'terraform', 'reshape', 'road', 'unroad'];
+Commands.maxRoadLength = 500; // tiles in one road command, counting any dragged over twice
+Commands.POSITIONED = ['build', 'upgrade', 'demolish', 'downgrade', 'plant', 'uproot', 'terraform', 'reshape']; // commands on one tile at x, y
@@ -0,0 +1,109 @@
+// Save compression (LZW over UTF-8 bytes, packed one code per UTF-16 char)
+// so large colonies fit within the localStorage limit
+export class SaveCompression {
+    static compress(text) {
+        const bytes = new TextEncoder().encode(text);
+        const dictionary = new Map(); // key: prefix code * 256 + byte, value: code
+        let nextCode = 256;
+        let current = -1;
+        const codes = [];
+
+        for (let byte of bytes) {
+            if (current === -1) {
+                current = byte;
+                continue;
+            }
+
+            const key = current * 256 + byte;
+            if (dictionary.has(key)) {
+                current = dictionary.get(key);
+                continue;
+            }
+
+            codes.push(current);
+            if (nextCode < SaveCompression.MAX_CODES) {
+                dictionary.set(key, nextCode++);
+            } else {
+                // Dictionary full: start over (the decoder resets at the same point)
+                dictionary.clear();
+                nextCode = 256;
+            }
+            current = byte;
+        }
+        if (current !== -1) {
+            codes.push(current);
+        }
+
+        return SaveCompression.PREFIX + SaveCompression.codesToString(codes);
+    }
+
+    static decompress(text) {
+        if (!SaveCompression.isCompressed(text)) {
+            return text;
+        }
+
+        const codes = SaveCompression.stringToCodes(text.slice(SaveCompression.PREFIX.length));
+        if (codes.length === 0) {
+            return '';
+        }
+
+        let entries = SaveCompression.createEntries();
+        let previous = entries[codes[0]];
+        const bytes = [...previous];
+
+        for (let i = 1; i < codes.length; i++) {
+            const code = codes[i];
+            let entry;
+            if (code < entries.length) {
+                entry = entries[code];
+            } else if (code === entries.length) {
+                entry = [...previous, previous[0]];
+            } else {
+                throw new Error('Corrupt save data');
+            }
+
+            for (let byte of entry) {
+                bytes.push(byte);
+            }
+
+            if (entries.length < SaveCompression.MAX_CODES) {
+                entries.push([...previous, entry[0]]);
+            } else {
+                entries = SaveCompression.createEntries();
+            }
+            previous = entry;
+        }
+
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+
+    static isCompressed(text) {
+        return typeof text === 'string' && text.startsWith(SaveCompression.PREFIX);
+    }
+
+    static createEntries() {
+        return Array.from({ length: 256 }, (_, i) => [i]);
+    }
+
+    // Codes stay below 0xD800 so no char is ever half of a surrogate pair
+    static codesToString(codes) {
+        const parts = [];
+        for (let i = 0; i < codes.length; i += 8192) {
+            const chunk = codes.slice(i, i + 8192).map(code => code + SaveCompression.CHAR_OFFSET);
+            parts.push(String.fromCharCode(...chunk));
+        }
+        return parts.join('');
+    }
+
+    static stringToCodes(text) {
+        const codes = new Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            codes[i] = text.charCodeAt(i) - SaveCompression.CHAR_OFFSET;
+        }
+        return codes;
+    }
+}
+
+SaveCompression.PREFIX = 'lzw1:';
+SaveCompression.MAX_CODES = 32768;
+SaveCompression.CHAR_OFFSET = 32;
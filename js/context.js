@@ -0,0 +1,132 @@
+import { World } from './world.js';
+import { GameState, Economy } from './economy.js';
+import { SaveFormat } from './saves.js';
+import { Commands } from './commands.js';
+import { CommandHistory } from './history.js';
+import { GameSetup } from './setup.js';
+
+// Everything a running game reads from. Loading a save swaps what the context
+// holds, never the context itself, so every subsystem keeps seeing live state.
+export class GameContext {
+    constructor(seed, settings = GameSetup.getDefaults()) {
+        this.readOnly = false; // set while watching a replay
+        this.history = new CommandHistory();
+        this.reset(seed, settings);
+        this.camera = GameContext.defaultCamera();
+    }
+
+    static defaultCamera() {
+        return { x: 0, y: 0, selectedX: 0, selectedY: 0 };
+    }
+
+    // Start a fresh game on the given seed and new-game settings (see GameSetup)
+    reset(seed, settings = GameSetup.getDefaults()) {
+        this.seed = seed;
+        this.settings = GameSetup.normalize(settings);
+        this.world = new World(seed, this.settings.world);
+        this.gameState = new GameState();
+        Object.assign(this.gameState, this.settings.start);
+        this.economy = new Economy(this.gameState, this.world);
+        this.economy.roadsRequired = this.settings.rules.roads;
+        this.replay = GameContext.emptyReplay();
+        this.history.clear();
+    }
+
+    // Commands played since `start` (a save to begin from, or null for a new game on this seed)
+    static emptyReplay() {
+        return { start: null, commands: [] };
+    }
+
+    // Advance the simulation by one tick (one second of game time)
+    tick() {
+        this.gameState.time++;
+        this.economy.tick();
+    }
+
+    // Run a player command (see Commands) and record it for replays
+    execute(command) {
+        if (this.readOnly) {
+            return { success: false, reason: 'Replays cannot be changed' };
+        }
+        const result = Commands.execute(this, command);
+        if (result.success) {
+            this.record(command);
+            if (result.undo) {
+                this.history.push(command, result.undo, this.gameState.time);
+            }
+        }
+        return result;
+    }
+
+    undo() {
+        const entry = this.history.nextUndo();
+        if (this.readOnly || !entry) {
+            return { success: false, reason: 'Nothing to undo' };
+        }
+        if (this.history.isExpired(entry, this.gameState.time)) {
+            return { success: false, reason: `Too late to undo ${Commands.describe(entry.command)}` };
+        }
+
+        const result = Commands.execute(this, entry.undo);
+        if (result.success) {
+            this.record(entry.undo);
+            this.history.markUndone(this.gameState.time);
+        }
+        return { ...result, command: entry.command };
+    }
+
+    redo() {
+        const entry = this.history.nextRedo();
+        if (this.readOnly || !entry) {
+            return { success: false, reason: 'Nothing to redo' };
+        }
+        if (this.history.isExpired(entry, this.gameState.time)) {
+            return { success: false, reason: `Too late to redo ${Commands.describe(entry.command)}` };
+        }
+
+        const result = Commands.execute(this, entry.command);
+        if (result.success) {
+            this.record(entry.command);
+            this.history.markRedone(result.undo, this.gameState.time);
+        }
+        return { ...result, command: entry.command };
+    }
+
+    record(command) {
+        const entry = { tick: this.gameState.time, ...command };
+        const commands = this.replay.commands;
+        const last = commands[commands.length - 1];
+
+        // Only the last change to a setting in a tick matters
+        if (last && Commands.isSameSetting(last, entry) && last.tick === entry.tick) {
+            commands.pop();
+        }
+        commands.push(entry);
+    }
+
+    load(saveData) {
+        this.seed = saveData.seed;
+        this.settings = GameSetup.normalize(saveData.settings);
+        this.world = World.fromJSON(saveData.world);
+        this.gameState = GameState.fromJSON(saveData.gameState);
+        this.economy = Economy.fromJSON(saveData.economy, this.world, this.gameState);
+        this.economy.roadsRequired = this.settings.rules.roads;
+        this.camera = { ...GameContext.defaultCamera(), ...saveData.camera };
+        this.replay = saveData.replay ? JSON.parse(JSON.stringify(saveData.replay)) : GameContext.emptyReplay();
+        this.history.clear();
+    }
+
+    toJSON() {
+        return {
+            version: SaveFormat.VERSION,
+            seed: this.seed,
+            settings: JSON.parse(JSON.stringify(this.settings)),
+            gameState: this.gameState.toJSON(),
+            world: this.world.toJSON(),
+            economy: this.economy.toJSON(),
+            camera: { ...this.camera },
+            replay: { start: this.replay.start, commands: [...this.replay.commands] },
+            time: this.gameState.time
+        };
+    }
+}
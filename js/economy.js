@@ -1,19 +1,41 @@
+import { StructureRegistry } from './structures.js';
+import { Ledger } from './finances.js';
+import { Policies } from './policies.js';
+import { Happiness } from './happiness.js';
+import { Forests } from './forests.js';
+import { Terraform } from './terraform.js';
+import { RoadNetwork } from './roads.js';
+
 // Economy and game state management
-class GameState {
+export class GameState {
     constructor() {
         this.money = 500;
         this.food = 50;
         this.wood = 100;
+        this.stone = 0;
+        this.iron = 0;
+        this.uranium = 0;
         this.population = 0;
         this.employed = 0;
-        this.incomeTaxRate = 0.1; // 10%
+        this.policies = Policies.getDefaults(); // tax rates and toggles, see Policies
         this.time = 0; // in seconds
+        this.loans = []; // { id, principal, balance }
+        this.nextLoanId = 1;
         this.messages = [];
+        this.maxMessages = 200;
+        this.muted = false; // set during batch ticks so a catch-up does not flood the log
     }
 
-    addMessage(text, type = 'info') {
-        this.messages.push({ text, type, time: this.time });
-        if (this.messages.length > 10) {
+    // location is an optional { x, y } tile the message is about
+    addMessage(text, type = 'info', location = null) {
+        if (this.muted) return;
+        const message = { text, type, time: this.time };
+        if (location) {
+            message.x = location.x;
+            message.y = location.y;
+        }
+        this.messages.push(message);
+        if (this.messages.length > this.maxMessages) {
             this.messages.shift();
         }
     }
@@ -23,40 +45,62 @@ class GameState {
             money: this.money,
             food: this.food,
             wood: this.wood,
+            stone: this.stone,
+            iron: this.iron,
+            uranium: this.uranium,
             population: this.population,
             employed: this.employed,
-            incomeTaxRate: this.incomeTaxRate,
-            time: this.time
+            policies: { ...this.policies },
+            time: this.time,
+            loans: this.loans,
+            nextLoanId: this.nextLoanId,
+            messages: this.messages
         };
     }
 
     static fromJSON(data) {
         const state = new GameState();
         Object.assign(state, data);
+        state.policies = { ...Policies.getDefaults(), ...data.policies };
         return state;
     }
 }
 
 // Economy simulation
-class Economy {
+export class Economy {
     constructor(gameState, world) {
         this.gameState = gameState;
         this.world = world;
         this.structures = new Map(); // key: "x,y", value: structure object
+        this.roads = new RoadNetwork(world);
+        this.roadsRequired = true; // false for games started before roads, where structures work anywhere
+        this.commuteRadius = 12; // max tiles a resident will travel to work: along roads, or Manhattan without roads
+        this.freeHaulDistance = 5; // road tiles goods travel to a house or storage without loss
+        this.haulLossPerTile = 0.02; // share of output lost per road tile beyond that
+        this.minHaulShare = 0.5; // the least a long haul delivers
+        this.commuteTotal = 0; // tiles travelled by all employed residents, set by assignWorkers
+        this.neighbourhoodRadius = 4; // tiles around a house whose forests and mines residents care about
+        this.foodBalance = { produced: 0, consumed: 0 }; // during the last tick
+        this.emigrationInterval = 10; // ticks between unhappy residents moving away
+        this.wage = 2; // earned per employed resident per tick; income tax on it goes to the treasury
+        this.loanOptions = [500, 1000, 2500];
+        this.loanInterestRate = 0.0002; // of the outstanding balance, per tick
+        this.loanTerm = 1800; // ticks to repay the principal
+        this.maxLoans = 3;
+        this.orePrices = { stone: 2, iron: 6, uranium: 20 }; // per unit mines sell abroad
+        this.plantingCost = { money: 10 }; // per tile of trees
+        this.ledger = new Ledger();
+        this.batchMode = false;
+        this.tally = null; // counts notable events while running a batch
     }
 
     buildStructure(tile, structureType) {
         const costs = this.getStructureCost(structureType);
         
         // Check resources
-        if (this.gameState.money < costs.money) {
-            return { success: false, reason: 'Not enough money' };
-        }
-        if (this.gameState.wood < costs.wood) {
-            return { success: false, reason: 'Not enough wood' };
-        }
-        if (this.gameState.food < costs.food) {
-            return { success: false, reason: 'Not enough food' };
+        const missing = this.getMissingResource(costs);
+        if (missing) {
+            return { success: false, reason: `Not enough ${missing}` };
         }
 
         // Check if can build
@@ -71,81 +115,491 @@ class Economy {
         }
 
         // Deduct costs
-        this.gameState.money -= costs.money;
-        this.gameState.wood -= costs.wood;
-        this.gameState.food -= costs.food;
+        this.spendResources(costs);
 
         // Build structure
-        const structure = {
+        const structure = this.placeStructure({
             type: structureType,
             x: tile.x,
             y: tile.y,
             level: 1,
             data: this.getDefaultStructureData(structureType)
-        };
-
-        tile.structure = structure;
-        this.structures.set(`${tile.x},${tile.y}`, structure);
+        });
 
-        this.gameState.addMessage(`Built ${structureType} at (${tile.x}, ${tile.y})`, 'success');
+        this.gameState.addMessage(`Built ${structureType} at (${tile.x}, ${tile.y})`, 'success', tile);
         return { success: true, structure };
     }
 
+    plantTrees(tile) {
+        const missing = this.getMissingResource(this.plantingCost);
+        if (missing) {
+            return { success: false, reason: `Not enough ${missing}` };
+        }
+        if (tile.isForest) {
+            return { success: false, reason: 'Trees already grow here' };
+        }
+        if (!Forests.canGrow(this.world, tile)) {
+            return { success: false, reason: 'Trees need open dry land' };
+        }
+
+        this.debit('forestry', this.plantingCost.money);
+        Forests.plant(tile, Forests.plantedHealth);
+        return { success: true };
+    }
+
+    // Raise, lower, flatten, fill or clear a tile; see Terraform
+    terraform(tile, action) {
+        const plan = Terraform.plan(this.world, tile, action);
+        if (!plan.success) return plan;
+        const missing = this.getMissingResource(plan.cost);
+        if (missing) {
+            return { success: false, reason: `Not enough ${missing}` };
+        }
+
+        const previous = Terraform.getPrevious(tile, plan.changes);
+        this.payTerraforming(plan.cost);
+        this.addResources(plan.gain);
+        tile.applyChanges(plan.changes);
+        return { success: true, previous, cost: plan.cost, gain: plan.gain };
+    }
+
+    // Money for terraforming is booked in the ledger; stone comes straight off the stockpile.
+    // Undoing passes negative costs to give them back.
+    payTerraforming(cost) {
+        const { money = 0, ...materials } = cost;
+        if (money) this.debit('terraforming', money);
+        this.spendResources(materials);
+    }
+
+    // Lay road along a dragged path. Tiles that already hold a structure are
+    // skipped, so a road can be drawn from one building to another; any other
+    // tile a road cannot go on stops the whole path.
+    buildRoads(tiles) {
+        const targets = new Set();
+        for (let tile of tiles) {
+            if (tile.structure || targets.has(tile)) continue;
+            const buildCheck = this.world.canBuildStructure(tile, 'road');
+            if (!buildCheck.canBuild) {
+                return { success: false, reason: `${buildCheck.reason} at (${tile.x}, ${tile.y})` };
+            }
+            targets.add(tile);
+        }
+        if (targets.size === 0) {
+            return { success: false, reason: 'Nothing to build a road on' };
+        }
+
+        const costs = this.getStructureCost('road');
+        Object.keys(costs).forEach(resource => costs[resource] *= targets.size);
+        const missing = this.getMissingResource(costs);
+        if (missing) {
+            return { success: false, reason: `Not enough ${missing}` };
+        }
+
+        this.spendResources(costs);
+        targets.forEach(tile => this.placeStructure({
+            type: 'road',
+            x: tile.x,
+            y: tile.y,
+            level: 1,
+            data: this.getDefaultStructureData('road')
+        }));
+        const built = [...targets].map(tile => ({ x: tile.x, y: tile.y }));
+        this.gameState.addMessage(`Built ${built.length} tiles of road`, 'success', built[0]);
+        return { success: true, built, costs };
+    }
+
+    // Put a structure on its tile as-is; buildStructure and undoing a demolition use this
+    placeStructure(structure) {
+        this.world.getTile(structure.x, structure.y).structure = structure;
+        this.structures.set(`${structure.x},${structure.y}`, structure);
+        this.roads.invalidate();
+        this.assignWorkers();
+        return structure;
+    }
+
+    // Whether a structure is connected to a house or storage, which it needs to work
+    isConnected(structure) {
+        return !this.roadsRequired || this.roads.getHubDistance(structure) !== null;
+    }
+
+    // Share of a structure's output that reaches a house or storage by road
+    getTransportMultiplier(structure) {
+        if (!this.roadsRequired) return 1;
+        const distance = this.roads.getHubDistance(structure);
+        if (distance === null) return 0;
+        return Math.max(this.minHaulShare, 1 - Math.max(0, distance - this.freeHaulDistance) * this.haulLossPerTile);
+    }
+
+    // Distance from a house to each workplace its residents can reach within the commute radius
+    getCommutes(house, workplaces) {
+        const distances = this.roadsRequired ? this.roads.getDistances(house) : null;
+        return workplaces
+            .map(workplace => ({
+                workplace,
+                distance: distances ? distances.get(workplace) : Math.abs(workplace.x - house.x) + Math.abs(workplace.y - house.y)
+            }))
+            .filter(entry => entry.distance !== undefined && entry.distance <= this.commuteRadius);
+    }
+
     getStructureCost(structureType) {
-        const costs = {
-            house: { money: 100, wood: 50, food: 0 },
-            farm: { money: 80, wood: 30, food: 10 },
-            mine: { money: 120, wood: 60, food: 0 },
-            lumber: { money: 50, wood: 20, food: 0 }
-        };
-        return costs[structureType] || { money: 0, wood: 0, food: 0 };
+        const definition = StructureRegistry.get(structureType);
+        return definition ? { ...definition.cost } : { money: 0, wood: 0, food: 0 };
+    }
+
+    // Costs may ask for any stockpile on GameState (money, wood, food, stone, iron, uranium)
+    getMissingResource(costs) {
+        for (let resource of Object.keys(costs)) {
+            if (this.gameState[resource] < costs[resource]) {
+                return resource;
+            }
+        }
+        return null;
+    }
+
+    spendResources(costs) {
+        for (let resource of Object.keys(costs)) {
+            this.gameState[resource] -= costs[resource];
+        }
+    }
+
+    // Money into and out of the treasury, booked in the ledger by category
+    credit(category, amount) {
+        this.gameState.money += amount;
+        this.ledger.record('income', category, amount);
+    }
+
+    debit(category, amount) {
+        this.gameState.money -= amount;
+        this.ledger.record('expense', category, amount);
+    }
+
+    getPolicy(name) {
+        return this.gameState.policies[name];
+    }
+
+    // Mines sell what they dig abroad as well as supplying the town; the treasury takes the tariff
+    exportOre(resource, amount) {
+        const revenue = amount * this.orePrices[resource];
+        this.credit('exportTariff', revenue * this.getPolicy('exportTariff'));
+    }
+
+    getStructureUpkeep(structureType, level = 1) {
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.upkeep * level : 0;
+    }
+
+    takeLoan(amount) {
+        if (!this.loanOptions.includes(amount)) {
+            return { success: false, reason: `Loans come in $${this.loanOptions.join(', $')}` };
+        }
+        if (this.gameState.loans.length >= this.maxLoans) {
+            return { success: false, reason: `At most ${this.maxLoans} loans at a time` };
+        }
+
+        const loan = { id: this.gameState.nextLoanId++, principal: amount, balance: amount };
+        this.gameState.loans.push(loan);
+        this.credit('loans', amount);
+        this.gameState.addMessage(`Took a $${amount} loan`, 'info');
+        return { success: true, loan };
+    }
+
+    // Pay off what is left of a loan in one go
+    repayLoan(id) {
+        const loan = this.gameState.loans.find(l => l.id === id);
+        if (!loan) {
+            return { success: false, reason: 'No such loan' };
+        }
+        if (this.gameState.money < loan.balance) {
+            return { success: false, reason: 'Not enough money' };
+        }
+
+        this.debit('loanRepayment', loan.balance);
+        this.gameState.loans = this.gameState.loans.filter(l => l !== loan);
+        this.gameState.addMessage(`Repaid the $${loan.principal} loan`, 'success');
+        return { success: true, loan };
+    }
+
+    // Interest on every loan, plus a fixed share of the principal until it is paid off
+    serviceLoans() {
+        for (let loan of this.gameState.loans) {
+            this.debit('loanInterest', loan.balance * this.loanInterestRate);
+            const payment = Math.min(loan.balance, loan.principal / this.loanTerm);
+            this.debit('loanRepayment', payment);
+            loan.balance -= payment;
+        }
+
+        const repaid = this.gameState.loans.filter(loan => loan.balance <= 1e-6);
+        if (repaid.length > 0) {
+            this.gameState.loans = this.gameState.loans.filter(loan => loan.balance > 1e-6);
+            repaid.forEach(loan => this.gameState.addMessage(`The $${loan.principal} loan is paid off`, 'success'));
+        }
+    }
+
+    addResources(resources) {
+        for (let resource of Object.keys(resources)) {
+            this.gameState[resource] += resources[resource];
+        }
+    }
+
+    // Share of everything spent on a structure (build plus upgrades) given back on demolition
+    getDemolishRefund(structure, fraction) {
+        const spent = this.getStructureCost(structure.type);
+        for (let level = 2; level <= structure.level; level++) {
+            const upgradeCost = this.getUpgradeCost(structure.type, level) || {};
+            for (let resource of Object.keys(upgradeCost)) {
+                spent[resource] = (spent[resource] || 0) + upgradeCost[resource];
+            }
+        }
+
+        const refund = {};
+        for (let resource of Object.keys(spent)) {
+            const amount = Math.floor(spent[resource] * fraction);
+            if (amount > 0) {
+                refund[resource] = amount;
+            }
+        }
+        return refund;
     }
 
     getDefaultStructureData(structureType) {
-        const data = {
-            house: { residents: 0, capacity: 5 },
-            farm: { production: 0, foodPerTick: 0.5 },
-            mine: { resourceLevel: 'stone', extractedStone: 0 },
-            lumber: { woodPerTick: 0.5 }
-        };
-        return data[structureType] || {};
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.createData() : {};
+    }
+
+    getStructureJobs(structureType, level = 1) {
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.jobs * level : 0;
+    }
+
+    getStructureCapacity(structureType, level = 1) {
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.capacity * level : 0;
+    }
+
+    getMaxLevel(structureType) {
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.maxLevel : 1;
+    }
+
+    // Cost of raising a structure to the given level
+    getUpgradeCost(structureType, level) {
+        const definition = StructureRegistry.get(structureType);
+        const upgrade = definition && definition.upgrades[level];
+        return upgrade ? { ...upgrade.cost } : null;
+    }
+
+    // Milestones that must be reached before a level unlocks
+    getUpgradeMilestone(structureType, level) {
+        const definition = StructureRegistry.get(structureType);
+        const upgrade = definition && definition.upgrades[level];
+        return (upgrade && upgrade.milestone) || null;
+    }
+
+    // Returns why the milestone for the structure's next level is not met, or null
+    getLockedReason(structure, level) {
+        const milestone = this.getUpgradeMilestone(structure.type, level);
+        if (!milestone) return null;
+
+        if (milestone.population && this.gameState.population < milestone.population) {
+            return `Requires population ${milestone.population}`;
+        }
+        if (milestone.mineTier) {
+            const tiers = ['stone', 'iron', 'uranium'];
+            if (tiers.indexOf(structure.data.resourceLevel) < tiers.indexOf(milestone.mineTier)) {
+                return `Mine must reach the ${milestone.mineTier} tier`;
+            }
+        }
+        return null;
+    }
+
+    upgradeStructure(tile) {
+        const structure = tile.structure;
+        if (!structure) {
+            return { success: false, reason: 'Nothing to upgrade' };
+        }
+
+        const nextLevel = structure.level + 1;
+        if (nextLevel > this.getMaxLevel(structure.type)) {
+            return { success: false, reason: 'Already at max level' };
+        }
+
+        const lockedReason = this.getLockedReason(structure, nextLevel);
+        if (lockedReason) {
+            return { success: false, reason: lockedReason };
+        }
+
+        const costs = this.getUpgradeCost(structure.type, nextLevel);
+        const missing = this.getMissingResource(costs);
+        if (missing) {
+            return { success: false, reason: `Not enough ${missing}` };
+        }
+
+        this.spendResources(costs);
+        structure.level = nextLevel;
+        if (structure.data.capacity !== undefined) {
+            structure.data.capacity = this.getStructureCapacity(structure.type, nextLevel);
+        }
+        this.assignWorkers();
+
+        this.gameState.addMessage(`Upgraded ${structure.type} at (${tile.x}, ${tile.y}) to level ${nextLevel}`, 'success', tile);
+        return { success: true, structure };
+    }
+
+    // Take a structure back down a level without refunding anything; used to undo upgrades
+    downgradeStructure(tile) {
+        const structure = tile.structure;
+        if (!structure || structure.level <= 1) {
+            return { success: false, reason: 'Nothing to downgrade' };
+        }
+
+        structure.level--;
+        if (structure.data.capacity !== undefined) {
+            structure.data.capacity = this.getStructureCapacity(structure.type, structure.level);
+        }
+        this.assignWorkers();
+        return { success: true, structure };
+    }
+
+    // Output multiplier from filled jobs; an unstaffed site produces nothing, overtime adds a quarter
+    getStaffingMultiplier(structure) {
+        const jobs = this.getStructureJobs(structure.type, structure.level);
+        if (jobs === 0) return 1;
+        const filled = Math.min(structure.data.workers || 0, jobs);
+        const overtime = this.getPolicy('overtime') ? 1.25 : 1;
+        return (filled / jobs) * overtime;
+    }
+
+    // Move residents into houses, then send each house's residents to the
+    // nearest workplaces with open jobs within the commute radius, along roads
+    assignWorkers() {
+        const houses = [];
+        const workplaces = [];
+        for (let structure of this.structures.values()) {
+            if (this.getStructureCapacity(structure.type) > 0) {
+                houses.push(structure);
+            } else if (this.getStructureJobs(structure.type, structure.level) > 0) {
+                structure.data.workers = 0;
+                workplaces.push(structure);
+            }
+        }
+
+        let unhoused = this.gameState.population;
+        for (let house of houses) {
+            house.data.residents = Math.min(house.data.capacity, unhoused);
+            unhoused -= house.data.residents;
+        }
+
+        let employed = 0;
+        let commuteTotal = 0;
+        for (let house of houses) {
+            let jobSeekers = house.data.residents;
+            if (jobSeekers === 0) continue;
+
+            const nearby = this.getCommutes(house, workplaces).sort((a, b) => a.distance - b.distance);
+
+            for (let { workplace, distance } of nearby) {
+                const openJobs = this.getStructureJobs(workplace.type, workplace.level) - workplace.data.workers;
+                const hired = Math.min(openJobs, jobSeekers);
+                workplace.data.workers += hired;
+                jobSeekers -= hired;
+                employed += hired;
+                commuteTotal += hired * distance;
+                if (jobSeekers === 0) break;
+            }
+        }
+
+        this.gameState.employed = employed;
+        this.commuteTotal = commuteTotal;
+    }
+
+    getHappiness() {
+        return Happiness.evaluate(this);
+    }
+
+    // Residential demand from -1 (people want out) to 1 (people want in), like an RCI meter
+    getResidentialDemand(happiness = this.getHappiness()) {
+        return Math.max(-1, Math.min(1, (happiness.score - 50) / 25));
+    }
+
+    getJobSummary() {
+        const summary = {};
+        for (let structure of this.structures.values()) {
+            const jobs = this.getStructureJobs(structure.type, structure.level);
+            if (jobs === 0) continue;
+            if (!summary[structure.type]) {
+                summary[structure.type] = { filled: 0, available: 0 };
+            }
+            summary[structure.type].filled += structure.data.workers || 0;
+            summary[structure.type].available += jobs;
+        }
+        return summary;
+    }
+
+    // Advance many ticks at once, e.g. to catch up on time spent away. Messages are
+    // muted and notable events are counted instead; returns those counts.
+    tickBatch(count) {
+        this.tally = { bankruptcies: 0, leftHungry: 0, movedAway: 0 };
+        this.batchMode = true;
+        this.gameState.muted = true;
+        try {
+            for (let i = 0; i < count; i++) {
+                this.gameState.time++;
+                this.tick();
+            }
+        } finally {
+            this.gameState.muted = false;
+            this.batchMode = false;
+        }
+
+        const tally = this.tally;
+        this.tally = null;
+        return tally;
+    }
+
+    recordEvent(name, amount = 1) {
+        if (this.tally) {
+            this.tally[name] = (this.tally[name] || 0) + amount;
+        }
     }
 
     tick() {
-        // Calculate income from farms
-        let farmIncome = 0;
-        let farmCount = 0;
+        const populationBefore = this.gameState.population;
+        const foodBefore = this.gameState.food;
 
+        // Run each structure's own behaviour from the registry; nothing works until it is connected
         for (let structure of this.structures.values()) {
-            if (structure.type === 'farm') {
-                const income = 10;
-                const tax = income * this.gameState.incomeTaxRate;
-                const netIncome = income - tax;
-                
-                // Farm goes bankrupt if income < 0 after tax
-                if (netIncome <= 0) {
-                    this.destroyStructure(structure.x, structure.y);
-                    this.gameState.addMessage('Farm went bankrupt due to high taxes', 'error');
-                    continue;
-                }
-
-                farmIncome += netIncome;
-                farmCount++;
-                
-                // Produce food
-                structure.data.foodPerTick = 1 + (0.5 * (structure.level - 1));
+            const definition = StructureRegistry.get(structure.type);
+            if (definition && definition.tick && this.isConnected(structure)) {
+                definition.tick(this, structure);
             }
         }
 
-        this.gameState.money += farmIncome;
+        // Residents pay income tax on their wages
+        this.credit('incomeTax', this.gameState.employed * this.wage * this.getPolicy('residentialTax'));
 
-        // Consume food
-        const foodConsumption = this.gameState.population * 0.5;
+        // Every structure costs upkeep, per level
+        let upkeep = 0;
+        for (let structure of this.structures.values()) {
+            upkeep += this.getStructureUpkeep(structure.type, structure.level);
+        }
+        this.debit('upkeep', upkeep);
+
+        this.serviceLoans();
+
+        Forests.grow(this);
+
+        // Consume food; rationing cuts everyone's share, overtime makes workers hungrier
+        let foodConsumption = this.gameState.population * 0.5 * (this.getPolicy('rationing') ? 0.7 : 1);
+        if (this.getPolicy('overtime')) {
+            foodConsumption += this.gameState.employed * 0.5 * 0.2;
+        }
+        this.foodBalance = { produced: this.gameState.food - foodBefore, consumed: foodConsumption };
         this.gameState.food -= foodConsumption;
 
         // If not enough food, population leaves
         if (this.gameState.food < 0) {
             const leavers = Math.ceil(-this.gameState.food / 5);
+            this.recordEvent('leftHungry', Math.min(leavers, this.gameState.population));
             this.gameState.population -= Math.min(leavers, this.gameState.population);
             this.gameState.food = 0;
             if (leavers > 0) {
@@ -153,102 +607,49 @@ class Economy {
             }
         }
 
-        // Houses produce food and accept population
+        // Houses accept population
         let totalHouseCapacity = 0;
         for (let structure of this.structures.values()) {
-            if (structure.type === 'house') {
-                totalHouseCapacity += structure.data.capacity;
-            }
+            totalHouseCapacity += structure.data.capacity || 0;
         }
 
-        // Population can grow if there are empty houses and food
-        const unemployed = this.gameState.population - this.gameState.employed;
-        if (this.gameState.population < totalHouseCapacity && this.gameState.food > 50) {
-            const newPeople = Math.min(2, totalHouseCapacity - this.gameState.population);
+        // People move into empty houses while the town is in demand and fed,
+        // and every so often some move away when it is not. The first settlers
+        // come to an empty town whatever is in store, since without anyone to
+        // work the farms the stores could never fill.
+        const demand = this.getResidentialDemand();
+        const fed = this.gameState.food > 50 || this.gameState.population === 0;
+        if (demand > 0 && this.gameState.population < totalHouseCapacity && fed) {
+            const growth = Math.ceil(demand * 2 * (this.getPolicy('rationing') ? 0.5 : 1));
+            const newPeople = Math.min(growth, totalHouseCapacity - this.gameState.population);
             this.gameState.population += newPeople;
+        } else if (demand < 0 && this.gameState.population > 0 && this.gameState.time % this.emigrationInterval === 0) {
+            const leavers = Math.min(Math.ceil(this.gameState.population * 0.05 * -demand), this.gameState.population);
+            this.recordEvent('movedAway', leavers);
+            this.gameState.population -= leavers;
+            this.gameState.addMessage(`${leavers} unhappy people moved away`, 'warning');
         }
 
-        // Generate wood from lumber structures
-        const lumberStructures = Array.from(this.structures.values()).filter(s => s.type === 'lumber');
-        for (let lumber of lumberStructures) {
-            // Find forests within 8 blocks
-            let forestCount = 0;
-            for (let dx = -8; dx <= 8; dx++) {
-                for (let dy = -8; dy <= 8; dy++) {
-                    const tile = this.world.getTile(lumber.x + dx, lumber.y + dy);
-                    if (tile.isForest && tile.forestHealth > 0) {
-                        forestCount++;
-                    }
-                }
-            }
-
-            if (forestCount > 0) {
-                const woodPerTick = 0.5 * lumber.level;
-                this.gameState.wood += woodPerTick;
-
-                // Damage nearby forests
-                for (let dx = -8; dx <= 8; dx++) {
-                    for (let dy = -8; dy <= 8; dy++) {
-                        const tile = this.world.getTile(lumber.x + dx, lumber.y + dy);
-                        if (tile.isForest && tile.forestHealth > 0) {
-                            tile.forestHealth -= 0.1;
-                            if (tile.forestHealth <= 0) {
-                                tile.isForest = false;
-                                break; // Move to next forest
-                            }
-                        }
-                    }
-                }
-            }
+        // Assign residents to jobs for the next tick. In a batch nothing is built or
+        // upgraded, so the assignment only changes when the population does.
+        if (!this.batchMode || this.gameState.population !== populationBefore) {
+            this.assignWorkers();
         }
 
-        // Generate resources from mines
-        for (let structure of this.structures.values()) {
-            if (structure.type === 'mine') {
-                this.tickMine(structure);
-            }
-        }
+        this.ledger.endTick(this.gameState);
     }
 
-    tickMine(mine) {
-        // Find resources within 4 blocks
-        let resourcesAvailable = { stone: 0, iron: 0, uranium: 0 };
-        
-        for (let dx = -4; dx <= 4; dx++) {
-            for (let dy = -4; dy <= 4; dy++) {
-                const tile = this.world.getTile(mine.x + dx, mine.y + dy);
-                resourcesAvailable.stone += tile.resources.stone;
-                resourcesAvailable.iron += tile.resources.iron;
-                resourcesAvailable.uranium += tile.resources.uranium;
-            }
-        }
-
-        // Mine resources based on level
-        if (mine.data.resourceLevel === 'stone' && resourcesAvailable.stone > 0) {
-            const mined = Math.min(1, resourcesAvailable.stone);
-            this.gameState.wood += mined * 0.5; // Convert stone to resources
-            mine.data.extractedStone += mined;
-
-            // Upgrade to iron if enough extracted
-            if (mine.data.extractedStone >= 100) {
-                mine.data.resourceLevel = 'iron';
-                mine.data.extractedStone = 0;
-                this.gameState.addMessage('Mine upgraded to iron extraction', 'success');
-            }
-        } else if (mine.data.resourceLevel === 'iron' && resourcesAvailable.iron > 0) {
-            const mined = Math.min(0.5, resourcesAvailable.iron);
-            this.gameState.wood += mined * 1.0;
-            mine.data.extractedStone += mined;
-
-            if (mine.data.extractedStone >= 100) {
-                mine.data.resourceLevel = 'uranium';
-                mine.data.extractedStone = 0;
-                this.gameState.addMessage('Mine upgraded to uranium extraction', 'success');
-            }
-        } else if (mine.data.resourceLevel === 'uranium' && resourcesAvailable.uranium > 0) {
-            const mined = Math.min(0.2, resourcesAvailable.uranium);
-            this.gameState.wood += mined * 2.0;
+    // Take up to `amount` of a resource out of the given tiles in order,
+    // returning how much was actually removed
+    extractResource(tiles, resource, amount) {
+        let remaining = amount;
+        for (let { tile } of tiles) {
+            if (remaining <= 0) break;
+            const taken = Math.min(tile.resources[resource], remaining);
+            tile.resources[resource] -= taken;
+            remaining -= taken;
         }
+        return amount - remaining;
     }
 
     destroyStructure(x, y) {
@@ -258,6 +659,8 @@ class Economy {
             this.structures.delete(key);
             const tile = this.world.getTile(x, y);
             tile.structure = null;
+            this.roads.invalidate();
+            this.assignWorkers();
         }
     }
 
@@ -271,15 +674,20 @@ class Economy {
 
     toJSON() {
         return {
-            structures: Array.from(this.structures.values())
+            structures: Array.from(this.structures.values()),
+            ledger: this.ledger.toJSON()
         };
     }
 
-    static fromJSON(data, world) {
-        const economy = new Economy(new GameState(), world);
+    static fromJSON(data, world, gameState) {
+        const economy = new Economy(gameState, world);
         data.structures.forEach(structure => {
             economy.structures.set(`${structure.x},${structure.y}`, structure);
+            world.getTile(structure.x, structure.y).structure = structure;
         });
+        if (data.ledger) {
+            economy.ledger = Ledger.fromJSON(data.ledger);
+        }
         return economy;
     }
 }
@@ -0,0 +1,88 @@
+// Treasury bookkeeping: money in and out by category for every tick, and a
+// rolling history of stockpiles and cash flow for the finances charts
+export class Ledger {
+    constructor() {
+        this.current = Ledger.emptyEntry(); // the tick being run
+        this.lastTick = Ledger.emptyEntry(); // the last tick run, for the per-second figures
+        this.pending = Ledger.emptyEntry(); // ticks since the last history sample
+        this.history = []; // { time, money, food, wood, income: {category: amount}, expense: {...} }
+        this.sampleInterval = 10; // ticks per history sample
+        this.maxSamples = 360; // an hour of history
+    }
+
+    static emptyEntry() {
+        return { income: {}, expense: {} };
+    }
+
+    // Income minus expenses across all categories of an entry
+    static getNet(entry) {
+        let net = 0;
+        Object.values(entry.income).forEach(amount => net += amount);
+        Object.values(entry.expense).forEach(amount => net -= amount);
+        return net;
+    }
+
+    record(kind, category, amount) {
+        for (let entry of [this.current, this.pending]) {
+            entry[kind][category] = (entry[kind][category] || 0) + amount;
+        }
+    }
+
+    endTick(gameState) {
+        this.lastTick = this.current;
+        this.current = Ledger.emptyEntry();
+        if (gameState.time % this.sampleInterval !== 0) return;
+
+        this.history.push({
+            time: gameState.time,
+            money: gameState.money,
+            food: gameState.food,
+            wood: gameState.wood,
+            ...this.pending
+        });
+        this.pending = Ledger.emptyEntry();
+        if (this.history.length > this.maxSamples) {
+            this.history.shift();
+        }
+    }
+
+    // Income and expense by category over the last `ticks` ticks of history
+    getTotals(ticks) {
+        const totals = Ledger.emptyEntry();
+        const samples = this.history.slice(-Math.ceil(ticks / this.sampleInterval));
+        for (let sample of samples) {
+            for (let kind of ['income', 'expense']) {
+                for (let category of Object.keys(sample[kind])) {
+                    totals[kind][category] = (totals[kind][category] || 0) + sample[kind][category];
+                }
+            }
+        }
+        return totals;
+    }
+
+    toJSON() {
+        return {
+            pending: this.pending,
+            history: this.history
+        };
+    }
+
+    static fromJSON(data) {
+        const ledger = new Ledger();
+        ledger.pending = data.pending || Ledger.emptyEntry();
+        ledger.history = data.history || [];
+        return ledger;
+    }
+}
+
+Ledger.CATEGORIES = {
+    incomeTax: 'Residential tax',
+    businessTax: 'Business tax',
+    exportTariff: 'Export tariff',
+    loans: 'Loans taken',
+    upkeep: 'Upkeep',
+    forestry: 'Tree planting',
+    terraforming: 'Terraforming',
+    loanInterest: 'Loan interest',
+    loanRepayment: 'Loan repayments'
+};
@@ -0,0 +1,111 @@
+import { SeededRandom } from './world.js';
+
+// Forest ecology: cut forests regrow, forests spread onto empty land next to
+// them, and lumber camps log the trees nearest to them first. Only the land
+// around the town is simulated, so the same structures always see the same
+// forests no matter which parts of the world the player has looked at.
+export class Forests {
+    // Grow and spread forests within reach of any structure. Runs every
+    // growthInterval ticks with the growth of that many ticks at once.
+    static grow(economy) {
+        const time = economy.gameState.time;
+        if (time % Forests.growthInterval !== 0) return;
+
+        const regrowth = Forests.regrowthPerTick * Forests.growthInterval * (economy.getPolicy('forestProtection') ? 2 : 1);
+        const seedlings = [];
+        for (let tile of Forests.getActiveTiles(economy)) {
+            if (tile.isForest) {
+                tile.forestHealth = Math.min(100, tile.forestHealth + regrowth);
+            } else if (Forests.canGrow(economy.world, tile)) {
+                // Seeds blow in from healthy neighbours
+                const neighbors = Forests.getNeighbors(economy.world, tile).filter(n => n.isForest && n.forestHealth >= 50);
+                const rng = new SeededRandom(economy.world.seed ^ Math.imul(time, 0x2c1b3c6d) ^ Math.imul(tile.x, 0x297a2d39) ^ Math.imul(tile.y, 0x6d2b79f5));
+                if (neighbors.length > 0 && rng.next() < neighbors.length * Forests.spreadChance) {
+                    seedlings.push(tile);
+                }
+            }
+        }
+
+        // Planted after the pass so new saplings do not seed their neighbours in the same one
+        seedlings.forEach(tile => Forests.plant(tile, Forests.seedlingHealth));
+    }
+
+    // Tiles within forestRadius of a structure, each once, in a fixed order.
+    // Roads are left out: they can run far out of town, and following every
+    // one of them would make growth passes slow.
+    static getActiveTiles(economy) {
+        const radius = Forests.forestRadius;
+        const seen = new Set();
+        const tiles = [];
+        for (let structure of economy.structures.values()) {
+            if (structure.type === 'road') continue;
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const key = `${structure.x + dx},${structure.y + dy}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    tiles.push(economy.world.getTile(structure.x + dx, structure.y + dy));
+                }
+            }
+        }
+        return tiles;
+    }
+
+    static getNeighbors(world, tile) {
+        return [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dx, dy]) => world.getTile(tile.x + dx, tile.y + dy));
+    }
+
+    // Open dry land without a structure
+    static canGrow(world, tile) {
+        return !tile.isForest && !tile.structure && !tile.isRiver && tile.altitude >= 0;
+    }
+
+    static plant(tile, health) {
+        tile.isForest = true;
+        tile.forestHealth = health;
+    }
+
+    // Forest tiles a lumber camp can log, nearest first. Protected forests are
+    // left alone once they drop to half health.
+    static getHarvestable(economy, lumber) {
+        const minHealth = economy.getPolicy('forestProtection') ? 50 : 0;
+        const reach = Forests.lumberReach;
+        const tiles = [];
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                const tile = economy.world.getTile(lumber.x + dx, lumber.y + dy);
+                if (tile.isForest && tile.forestHealth > minHealth) {
+                    tiles.push({ tile, distance: dx * dx + dy * dy, minHealth });
+                }
+            }
+        }
+        return tiles.sort((a, b) => a.distance - b.distance);
+    }
+
+    // Cut `work` health from the nearest trees and return the wood it yields.
+    // Healthy, dense forest gives up to three times what thinned-out forest does.
+    static harvest(economy, lumber, work) {
+        let wood = 0;
+        for (let { tile, minHealth } of Forests.getHarvestable(economy, lumber)) {
+            if (work <= 0) break;
+            const cut = Math.min(work, tile.forestHealth - minHealth);
+            wood += cut * Forests.woodPerHealth * (0.5 + tile.forestHealth / 100);
+            tile.forestHealth -= cut;
+            work -= cut;
+            if (tile.forestHealth <= 0) {
+                tile.isForest = false;
+                tile.forestHealth = 0;
+            }
+        }
+        return wood;
+    }
+}
+
+Forests.growthInterval = 10; // ticks between growth passes
+Forests.regrowthPerTick = 0.05; // forest health regained per tick; doubled by forest protection
+Forests.spreadChance = 0.01; // per healthy neighbouring forest tile, per growth pass
+Forests.seedlingHealth = 10; // health of a forest that has just spread onto a tile
+Forests.plantedHealth = 25; // health of trees the player plants
+Forests.forestRadius = 10; // tiles around structures where forests grow and spread
+Forests.lumberReach = 8; // tiles a lumber camp reaches to cut trees
+Forests.woodPerHealth = 0.5; // wood from each point of forest health cut, at 50% health
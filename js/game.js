@@ -1,141 +1,437 @@
+import { SimulationClock } from './clock.js';
+import { SaveCompression } from './compression.js';
+import { SaveStore, formatTime } from './saves.js';
+import { GameContext } from './context.js';
+import { Replay, ReplayPlayer } from './replay.js';
+import { Commands } from './commands.js';
+import { GameUI, StatsPanel, PoliciesPanel, ActionsPanel, FinancesPanel, MessageLogPanel, MinimapPanel } from './ui.js';
+
 // Main Game Controller
-class Game {
+export class Game {
     constructor() {
-        this.world = null;
-        this.gameState = null;
-        this.economy = null;
+        this.context = null;
         this.ui = null;
         this.statsPanel = null;
+        this.financesPanel = null;
+        this.policiesPanel = null;
         this.actionsPanel = null;
+        this.messageLogPanel = null;
+        this.minimap = null;
         this.canvas = document.getElementById('gameCanvas');
         this.gameRunning = false;
-        this.tickInterval = null;
+        this.clock = new SimulationClock(1000);
+        this.saveStore = new SaveStore();
+        this.saveId = null; // manual save slot this session was loaded from or last saved to
+        this.catchUp = null; // offline progress still being simulated
+        this.replayPlayer = null; // set when watching a replay instead of playing
+        this.lastError = null; // last error a frame posted to the message log
     }
 
     init() {
-        // Load or create world
+        // Create the world, game state and economy every subsystem reads from,
+        // with the settings picked on the new-game screen
         const seed = parseInt(localStorage.getItem('currentSeed'));
-        this.world = new World(seed);
-
-        // Create game state
-        this.gameState = new GameState();
-
-        // Create economy
-        this.economy = new Economy(this.gameState, this.world);
+        this.context = new GameContext(seed, this.saveStore.getNewGameSetup());
 
         // Create UI
-        this.ui = new GameUI(this.canvas, this.gameState, this.world, this.economy);
-        this.statsPanel = new StatsPanel(this.gameState, this.economy);
-        this.actionsPanel = new ActionsPanel(this.gameState, this.world, this.economy, this.ui);
+        this.ui = new GameUI(this.canvas, this.context);
+        this.statsPanel = new StatsPanel(this.context);
+        this.financesPanel = new FinancesPanel(document.getElementById('financeChart'), this.context);
+        this.policiesPanel = new PoliciesPanel(this.context);
+        this.actionsPanel = new ActionsPanel(this.context, this.ui, this.saveStore.getDemolishRefund());
+        this.messageLogPanel = new MessageLogPanel(this.context, this.ui, (seconds) => this.formatTime(seconds));
+        this.minimap = new MinimapPanel(document.getElementById('minimapCanvas'), this.context, this.ui);
 
-        // Load save if exists
-        const saveData = localStorage.getItem('gameSave_' + seed);
-        if (saveData) {
-            this.loadGame(JSON.parse(saveData));
+        // Load the save or replay picked in the menu, if any
+        const saveId = localStorage.getItem('currentSaveId');
+        if (new URLSearchParams(window.location.search).has('replay')) {
+            this.startReplay();
+        } else if (saveId) {
+            const result = this.saveStore.parse(saveId);
+            if (result.success) {
+                this.loadGame(result.saveData);
+                const entry = this.saveStore.get(saveId);
+                if (entry && entry.kind === 'manual') {
+                    this.saveId = saveId;
+                }
+                this.startCatchUp(result.saveData.savedAt);
+            } else {
+                this.context.gameState.addMessage(`Could not load save: ${result.reason}`, 'error');
+            }
         }
 
-        // Start game loop
+        this.setupKeyListeners();
+
+        // Start game loop; frames drive the clock, which decides how many ticks to run
         this.gameRunning = true;
-        this.tickInterval = setInterval(() => this.tick(), 1000);
 
         // Initial render
         this.render();
         this.updateUI();
     }
 
+    // Watch the replay the menu left in localStorage; the context stays read-only
+    startReplay() {
+        document.body.classList.add('replay-mode');
+        this.context.readOnly = true;
+
+        const raw = localStorage.getItem('currentReplay');
+        const result = raw ? Replay.parse(SaveCompression.decompress(raw)) : { success: false, reason: 'No replay selected' };
+        if (!result.success) {
+            this.context.gameState.addMessage(`Could not load replay: ${result.reason}`, 'error');
+            return;
+        }
+
+        this.replayPlayer = new ReplayPlayer(this.context, result.replay);
+        this.ui.invalidate();
+        this.minimap.invalidate();
+
+        const timeline = document.getElementById('replayTimeline');
+        timeline.min = this.replayPlayer.startTick;
+        timeline.max = this.replayPlayer.endTick;
+        timeline.oninput = () => {
+            this.replayPlayer.seek(parseInt(timeline.value));
+            this.ui.invalidate();
+            this.minimap.invalidate();
+        };
+    }
+
+    exportReplay() {
+        if (!this.replayPlayer) return;
+
+        const replay = this.replayPlayer.replay;
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `cresville-replay-seed${replay.seed}-${replay.length}s.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    setupKeyListeners() {
+        window.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT') return;
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                }
+                return;
+            }
+            const speeds = { '1': 1, '2': 2, '3': 4, '4': SimulationClock.FAST_FORWARD };
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.clock.togglePause();
+            } else if (speeds[e.key]) {
+                this.clock.setSpeed(speeds[e.key]);
+            }
+        });
+    }
+
+    undo() {
+        const result = this.context.undo();
+        if (result.success) {
+            if (result.command.x !== undefined) {
+                this.ui.invalidateTile(result.command.x, result.command.y);
+            }
+            this.context.gameState.addMessage(`Undid ${Commands.describe(result.command)}`, 'info');
+        } else {
+            this.context.gameState.addMessage(result.reason, 'error');
+        }
+    }
+
+    redo() {
+        const result = this.context.redo();
+        if (result.success) {
+            if (result.command.x !== undefined) {
+                this.ui.invalidateTile(result.command.x, result.command.y);
+            }
+            this.context.gameState.addMessage(`Redid ${Commands.describe(result.command)}`, 'info');
+        } else {
+            this.context.gameState.addMessage(result.reason, 'error');
+        }
+    }
+
+    // 0 pauses; any other value runs at that multiple of normal speed
+    setSpeed(speed) {
+        if (speed === 0) {
+            this.clock.paused = true;
+        } else {
+            this.clock.setSpeed(speed);
+        }
+    }
+
+    frame(now) {
+        if (!this.gameRunning) return;
+
+        // The regular clock waits until offline progress has been simulated
+        const ticks = this.clock.update(now);
+        if (this.catchUp) {
+            this.runCatchUpSlice();
+            this.render();
+            this.updateUI();
+            return;
+        }
+
+        for (let i = 0; i < ticks; i++) {
+            this.tick();
+        }
+
+        this.render();
+        this.updateUI();
+    }
+
+    // Log an error from a frame; the same error thrown frame after frame is only posted once
+    reportError(error) {
+        console.error(error);
+        const text = `Something went wrong: ${error.message}`;
+        if (this.context && text !== this.lastError) {
+            this.lastError = text;
+            this.context.gameState.addMessage(text, 'error');
+        }
+    }
+
     tick() {
         if (!this.gameRunning) return;
 
-        this.gameState.time++;
+        if (this.replayPlayer) {
+            if (this.replayPlayer.finished) {
+                this.clock.paused = true;
+            } else {
+                this.replayPlayer.step();
+            }
+            return;
+        }
 
         // Run economy simulation
-        this.economy.tick();
+        this.context.tick();
 
         // Auto-save every 30 seconds
-        if (this.gameState.time % 30 === 0) {
-            this.saveGame();
+        if (this.context.gameState.time % 30 === 0) {
+            this.autosave();
         }
-
-        // Update UI
-        this.updateUI();
-        this.render();
     }
 
     render() {
         this.ui.render();
+        this.minimap.render();
     }
 
     updateUI() {
         // Update time display
-        document.getElementById('timeDisplay').textContent = this.formatTime(this.gameState.time);
+        document.getElementById('timeDisplay').textContent = this.formatTime(this.context.gameState.time);
+        this.updateSpeedControls();
+        this.updateHistoryControls();
+        if (this.replayPlayer) {
+            this.updateReplayControls();
+        }
 
         // Update panels
         this.statsPanel.render();
+        this.financesPanel.render();
+        this.policiesPanel.render();
         this.actionsPanel.render();
+        this.messageLogPanel.render();
+    }
+
+    updateSpeedControls() {
+        const activeSpeed = this.clock.paused ? 0 : this.clock.speed;
+        document.querySelectorAll('#speedControls .speed-button').forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.speed) === activeSpeed);
+        });
+    }
+
+    updateHistoryControls() {
+        const history = this.context.history;
+        const time = this.context.gameState.time;
+        [['undoButton', history.nextUndo(), 'Undo'], ['redoButton', history.nextRedo(), 'Redo']].forEach(([id, entry, label]) => {
+            const button = document.getElementById(id);
+            button.disabled = !entry || history.isExpired(entry, time);
+            button.title = entry ? `${label} ${Commands.describe(entry.command)} (Ctrl+${label === 'Undo' ? 'Z' : 'Y'})` : `Nothing to ${label.toLowerCase()}`;
+        });
+    }
+
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        document.getElementById('replayTimeline').value = player.time;
+        document.getElementById('replayTime').textContent = `${this.formatTime(player.time)} / ${this.formatTime(player.endTick)}`;
     }
 
     formatTime(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
-        return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+        return formatTime(seconds);
     }
 
-    saveGame() {
-        const seed = parseInt(localStorage.getItem('currentSeed'));
-        const saveData = {
-            seed: seed,
-            gameState: this.gameState.toJSON(),
-            world: this.world.toJSON(),
-            economy: this.economy.toJSON(),
-            time: this.gameState.time
+    getSaveData() {
+        // Time away that has not been simulated yet stays owed, so a save made
+        // mid catch-up (such as the autosave on closing the page) catches it up on load
+        const owed = this.catchUp ? this.catchUp.remaining * 1000 : 0;
+        return {
+            ...this.context.toJSON(),
+            savedAt: Date.now() - owed // wall clock, for offline catch-up
         };
-        localStorage.setItem('gameSave_' + seed, JSON.stringify(saveData));
-
-        // Also update save list
-        let saves = JSON.parse(localStorage.getItem('saves') || '[]');
-        const existingIndex = saves.findIndex(s => s.seed === seed);
-        
-        const saveEntry = {
-            seed: seed,
-            name: `Save ${new Date().toLocaleTimeString()}`,
-            time: this.gameState.time
+    }
+
+    // Simulate the ticks missed since the save was written, up to the player's limit
+    startCatchUp(savedAt) {
+        if (!savedAt) return;
+
+        const missed = Math.min(Math.floor((Date.now() - savedAt) / 1000), this.saveStore.getOfflineLimit());
+        if (missed <= 0) return;
+
+        const gameState = this.context.gameState;
+        this.catchUp = {
+            total: missed,
+            remaining: missed,
+            before: {
+                money: gameState.money,
+                food: gameState.food,
+                wood: gameState.wood,
+                population: gameState.population
+            },
+            tally: { bankruptcies: 0, leftHungry: 0, movedAway: 0 }
         };
+        this.showAwaySummary(`<p>Catching up on ${this.formatTime(missed)} away...</p>`, false);
+    }
 
-        if (existingIndex >= 0) {
-            saves[existingIndex] = saveEntry;
-        } else {
-            saves.push(saveEntry);
+    // Run batches for a few milliseconds per frame so the page stays responsive
+    runCatchUpSlice() {
+        const catchUp = this.catchUp;
+        const started = performance.now();
+        while (catchUp.remaining > 0 && performance.now() - started < 12) {
+            const count = Math.min(100, catchUp.remaining);
+            const tally = this.context.economy.tickBatch(count);
+            catchUp.tally.bankruptcies += tally.bankruptcies;
+            catchUp.tally.leftHungry += tally.leftHungry;
+            catchUp.tally.movedAway += tally.movedAway;
+            catchUp.remaining -= count;
+        }
+
+        if (catchUp.remaining > 0) {
+            const percent = Math.floor((1 - catchUp.remaining / catchUp.total) * 100);
+            this.showAwaySummary(`<p>Catching up on ${this.formatTime(catchUp.total)} away... ${percent}%</p>`, false);
+            return;
         }
-        localStorage.setItem('saves', JSON.stringify(saves));
+
+        this.catchUp = null;
+        this.finishCatchUp(catchUp);
     }
 
-    loadGame(saveData) {
-        // Restore world
-        this.world = World.fromJSON(saveData.world);
+    finishCatchUp(catchUp) {
+        const gameState = this.context.gameState;
+        const change = (label, before, after, prefix = '') => {
+            const delta = Math.floor(after) - Math.floor(before);
+            const color = delta >= 0 ? '#66ff66' : '#ff6666';
+            return `<div class="stat-row"><span class="stat-label">${label}</span>` +
+                `<span class="stat-value" style="color: ${color}">${delta >= 0 ? '+' : ''}${prefix}${delta}</span></div>`;
+        };
 
-        // Restore game state
-        this.gameState = GameState.fromJSON(saveData.gameState);
+        let body = `<p>You were away for ${this.formatTime(catchUp.total)}.</p>`;
+        body += change('Money', catchUp.before.money, gameState.money, '$');
+        body += change('Food', catchUp.before.food, gameState.food);
+        body += change('Wood', catchUp.before.wood, gameState.wood);
+        body += change('Population', catchUp.before.population, gameState.population);
+        if (catchUp.tally.bankruptcies > 0) {
+            body += `<div class="error">✖ ${catchUp.tally.bankruptcies} farm(s) went bankrupt</div>`;
+        }
+        if (catchUp.tally.leftHungry > 0) {
+            body += `<div class="warning">⚠ ${catchUp.tally.leftHungry} people left due to hunger</div>`;
+        }
+        if (catchUp.tally.movedAway > 0) {
+            body += `<div class="warning">⚠ ${catchUp.tally.movedAway} unhappy people moved away</div>`;
+        }
+        this.showAwaySummary(body, true);
 
-        // Restore economy
-        this.economy = Economy.fromJSON(saveData.economy, this.world);
-        this.economy.gameState = this.gameState;
+        gameState.addMessage(`Simulated ${this.formatTime(catchUp.total)} of time away`, 'info');
+        this.autosave();
+    }
+
+    showAwaySummary(html, closable) {
+        document.getElementById('awaySummaryBody').innerHTML = html;
+        document.getElementById('awaySummaryClose').style.display = closable ? 'block' : 'none';
+        document.getElementById('awaySummary').style.display = 'flex';
+    }
 
-        this.gameState.addMessage('Game loaded', 'success');
+    autosave() {
+        const result = this.saveStore.saveAuto(this.getSaveData());
+        if (!result.success) {
+            this.context.gameState.addMessage(`Autosave failed: ${result.reason}`, 'error');
+        }
+    }
+
+    saveManual() {
+        const current = this.saveId ? this.saveStore.get(this.saveId) : null;
+        const name = prompt('Save name:', current ? current.name : `Save ${new Date().toLocaleString()}`);
+        if (!name) return;
+
+        // Keeping the loaded save's name overwrites it; a new name makes a new slot
+        const id = current && current.name === name ? current.id : null;
+        const result = this.saveStore.saveManual(name, this.getSaveData(), id);
+        if (!result.success) {
+            this.context.gameState.addMessage(`Could not save "${name}": ${result.reason}`, 'error');
+            return;
+        }
+        this.saveId = result.id;
+        this.context.gameState.addMessage(`Saved "${name}"`, 'success');
+    }
+
+    loadGame(saveData) {
+        this.context.load(saveData);
+        this.ui.invalidate();
+        this.minimap.invalidate();
+
+        this.context.gameState.addMessage('Game loaded', 'success');
     }
 
     stop() {
+        if (!this.gameRunning) return;
         this.gameRunning = false;
-        if (this.tickInterval) {
-            clearInterval(this.tickInterval);
+        if (!this.context.readOnly) {
+            this.autosave();
         }
-        this.saveGame();
     }
 }
 
 // Global game instance
 let game = null;
 
+function saveGame() {
+    if (game) {
+        game.saveManual();
+    }
+}
+
+function setGameSpeed(speed) {
+    if (game) {
+        game.setSpeed(speed);
+    }
+}
+
+function undoAction() {
+    if (game) {
+        game.undo();
+    }
+}
+
+function redoAction() {
+    if (game) {
+        game.redo();
+    }
+}
+
+function exportReplay() {
+    if (game) {
+        game.exportReplay();
+    }
+}
+
+function closeAwaySummary() {
+    document.getElementById('awaySummary').style.display = 'none';
+}
+
 function backToMenu() {
     if (game) {
         game.stop();
@@ -143,20 +439,28 @@ function backToMenu() {
     window.location.href = 'index.html';
 }
 
+// Modules keep their functions private; the page's onclick handlers need these
+Object.assign(window, { saveGame, setGameSpeed, undoAction, redoAction, exportReplay, closeAwaySummary, backToMenu });
+
 // Initialize game when page loads
 window.addEventListener('load', () => {
     game = new Game();
     game.init();
+    window.game = game; // for the browser console
 
-    // Render loop
-    function gameLoop() {
-        if (game && game.gameRunning) {
-            game.render();
-            game.updateUI();
-        }
+    // Frame loop
+    function gameLoop(now) {
+        // Ask for the next frame first, so a frame that throws does not stop the game
         requestAnimationFrame(gameLoop);
+        if (game) {
+            try {
+                game.frame(now);
+            } catch (error) {
+                game.reportError(error);
+            }
+        }
     }
-    gameLoop();
+    requestAnimationFrame(gameLoop);
 
     // Handle page unload
     window.addEventListener('beforeunload', () => {
@@ -0,0 +1,106 @@
+// Resident happiness: a 0-100 score made of a few factors, each worth some
+// points either side of a neutral 50. Residential demand, and with it growth
+// and emigration, follows the score.
+export class Happiness {
+    // Returns { score, factors: { name: points } } for the economy's current state
+    static evaluate(economy) {
+        const factors = {
+            food: Happiness.foodFactor(economy),
+            taxes: Happiness.taxFactor(economy),
+            jobs: Happiness.jobsFactor(economy),
+            commute: Happiness.commuteFactor(economy),
+            surroundings: Happiness.surroundingsFactor(economy),
+            policies: Happiness.policiesFactor(economy)
+        };
+
+        let score = 50;
+        for (let name of Object.keys(factors)) {
+            score += factors[name];
+        }
+        return { score: clamp(score, 0, 100), factors };
+    }
+
+    // A surplus keeps people happy; a shortfall worries them more the sooner
+    // the stockpile will run out
+    static foodFactor(economy) {
+        const { produced, consumed } = economy.foodBalance;
+        const food = economy.gameState.food;
+        const net = produced - consumed;
+        let points = net >= 0
+            ? Math.min(10, net / Math.max(consumed, 1) * 20)
+            : -15 * clamp(1 - food / -net / 300, 0, 1);
+        if (consumed > 0 && food >= consumed * 100) {
+            points += 5;
+        }
+        return points;
+    }
+
+    // Neutral at the default 10% residential tax
+    static taxFactor(economy) {
+        return clamp((0.1 - economy.getPolicy('residentialTax')) * 100, -40, 10);
+    }
+
+    // Jobs draw people to a new town; unemployment drives them away
+    static jobsFactor(economy) {
+        const { population, employed } = economy.gameState;
+        if (population === 0) {
+            return economy.getAllStructures().some(s => economy.getStructureJobs(s.type) > 0) ? 10 : 0;
+        }
+        return Math.max(-20, 10 - 40 * (population - employed) / population);
+    }
+
+    static commuteFactor(economy) {
+        const employed = economy.gameState.employed;
+        if (employed === 0) return 0;
+        const average = economy.commuteTotal / employed;
+        return 5 - 15 * average / economy.commuteRadius;
+    }
+
+    // Forests near home are pleasant, mines are not. Averaged over residents,
+    // or over houses while they are still empty.
+    static surroundingsFactor(economy) {
+        const houses = economy.getAllStructures().filter(s => economy.getStructureCapacity(s.type) > 0);
+        const population = economy.gameState.population;
+        const radius = economy.neighbourhoodRadius;
+        let total = 0;
+        let weights = 0;
+
+        for (let house of houses) {
+            const weight = population > 0 ? house.data.residents || 0 : 1;
+            if (weight === 0) continue;
+
+            let forests = 0;
+            let mines = 0;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const tile = economy.world.getTile(house.x + dx, house.y + dy);
+                    if (tile.isForest) forests++;
+                    if (tile.structure && tile.structure.type === 'mine') mines++;
+                }
+            }
+            total += (Math.min(forests, 10) - Math.min(mines * 8, 16)) * weight;
+            weights += weight;
+        }
+        return weights > 0 ? total / weights : 0;
+    }
+
+    static policiesFactor(economy) {
+        let points = 0;
+        if (economy.getPolicy('rationing')) points -= 10;
+        if (economy.getPolicy('overtime')) points -= 5;
+        return points;
+    }
+}
+
+Happiness.FACTORS = {
+    food: 'Food supply',
+    taxes: 'Taxes',
+    jobs: 'Jobs',
+    commute: 'Commute',
+    surroundings: 'Forests & mines',
+    policies: 'Policies'
+};
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
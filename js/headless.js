@@ -0,0 +1,28 @@
+import { GameContext } from './context.js';
+
+// Runs the simulation without a page: no DOM, canvas or localStorage.
+// Used by the test suite and for trying out economy changes from Node.
+//
+// Actions are player commands (see Commands) with the tick to run them on,
+// applied at the start of that tick before it runs:
+//   { tick: 0, type: 'build', structure: 'house', x: 3, y: -2 }
+//   { tick: 10, type: 'policy', name: 'businessTax', value: 0.25 }
+// The returned context records them, so context.toJSON() replays the run.
+export function runSimulation({ seed, settings, ticks, actions = [] }) {
+    const context = new GameContext(seed, settings);
+    const pending = [...actions].sort((a, b) => (a.tick || 0) - (b.tick || 0));
+    const results = [];
+
+    let next = 0;
+    for (let tick = 0; tick <= ticks; tick++) {
+        while (next < pending.length && (pending[next].tick || 0) <= tick) {
+            const action = pending[next++];
+            results.push({ action, ...context.execute(action) });
+        }
+        if (tick < ticks) {
+            context.tick();
+        }
+    }
+
+    return { context, results };
+}
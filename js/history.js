@@ -0,0 +1,62 @@
+import { Commands } from './commands.js';
+
+// Undo/redo stacks for player commands. An action can be taken back while the
+// tick it happened on is still running, or within a short real-time grace window.
+export class CommandHistory {
+    constructor(graceWindow = 10000, now = () => Date.now()) {
+        this.graceWindow = graceWindow; // ms of real time
+        this.now = now;
+        this.maxEntries = 50;
+        this.done = []; // { command, undo, tick, at }
+        this.undone = [];
+    }
+
+    push(command, undo, tick) {
+        this.undone = [];
+
+        // Dragging a slider is one change: keep the value it started from
+        const last = this.done[this.done.length - 1];
+        if (last && Commands.isSameSetting(last.command, command) && last.tick === tick) {
+            last.command = command;
+            last.at = this.now();
+            return;
+        }
+
+        this.done.push({ command, undo, tick, at: this.now() });
+        if (this.done.length > this.maxEntries) {
+            this.done.shift();
+        }
+    }
+
+    isExpired(entry, tick) {
+        return entry.tick !== tick && this.now() - entry.at > this.graceWindow;
+    }
+
+    nextUndo() {
+        return this.done[this.done.length - 1] || null;
+    }
+
+    nextRedo() {
+        return this.undone[this.undone.length - 1] || null;
+    }
+
+    markUndone(tick) {
+        const entry = this.done.pop();
+        entry.tick = tick;
+        entry.at = this.now();
+        this.undone.push(entry);
+    }
+
+    markRedone(undo, tick) {
+        const entry = this.undone.pop();
+        entry.undo = undo;
+        entry.tick = tick;
+        entry.at = this.now();
+        this.done.push(entry);
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+    }
+}
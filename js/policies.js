@@ -0,0 +1,94 @@
+// Policy catalog: tax rates and toggleable policies the player sets from the
+// Policies panel. Values live in gameState.policies and are read by the economy.
+export class Policies {
+    static register(name, definition) {
+        Policies.types.set(name, { name, ...definition });
+    }
+
+    static get(name) {
+        return Policies.types.get(name);
+    }
+
+    static getAll() {
+        return Array.from(Policies.types.values());
+    }
+
+    static getDefaults() {
+        const defaults = {};
+        for (let policy of Policies.types.values()) {
+            defaults[policy.name] = policy.defaultValue;
+        }
+        return defaults;
+    }
+
+    // Returns why a value is not allowed for the policy, or null
+    static validate(name, value) {
+        const policy = Policies.get(name);
+        if (!policy) {
+            return `Unknown policy "${name}"`;
+        }
+        if (policy.kind === 'toggle') {
+            return typeof value === 'boolean' ? null : `${policy.label} must be on or off`;
+        }
+        if (!Number.isFinite(value) || value < 0 || value > policy.max) {
+            return `${policy.label} must be between 0% and ${Math.round(policy.max * 100)}%`;
+        }
+        return null;
+    }
+
+    static describe(name, value) {
+        const policy = Policies.get(name);
+        if (!policy) return name;
+        if (policy.kind === 'toggle') {
+            return `${policy.label} ${value ? 'on' : 'off'}`;
+        }
+        return `${policy.label} at ${Math.round(value * 100)}%`;
+    }
+}
+
+Policies.types = new Map();
+
+Policies.register('businessTax', {
+    label: 'Business tax',
+    kind: 'rate',
+    max: 1,
+    defaultValue: 0.1,
+    description: 'Share of farm income paid to the treasury. Farms go bankrupt if it takes everything.'
+});
+
+Policies.register('residentialTax', {
+    label: 'Residential tax',
+    kind: 'rate',
+    max: 1,
+    defaultValue: 0.1,
+    description: 'Share of residents\' wages paid to the treasury.'
+});
+
+Policies.register('exportTariff', {
+    label: 'Export tariff',
+    kind: 'rate',
+    max: 0.5,
+    defaultValue: 0,
+    description: 'Tax on ore mines sell abroad. Mines slow down as the tariff rises.'
+});
+
+Policies.register('rationing', {
+    label: 'Food rationing',
+    kind: 'toggle',
+    defaultValue: false,
+    description: 'Residents eat 30% less, but they are less happy and the town grows half as fast.'
+});
+
+Policies.register('forestProtection', {
+    label: 'Forest protection',
+    kind: 'toggle',
+    defaultValue: false,
+    description: 'Lumber camps only cut healthy trees, at half the rate, and forests regrow twice as fast.'
+});
+
+Policies.register('overtime', {
+    label: 'Overtime',
+    kind: 'toggle',
+    defaultValue: false,
+    description: 'Workplaces produce 25% more, but workers eat 20% more food and residents are less happy.'
+});
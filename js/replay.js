@@ -0,0 +1,166 @@
+import { Commands } from './commands.js';
+import { SaveFormat } from './saves.js';
+import { GameSetup } from './setup.js';
+
+// Replay files: a seed (or a save to start from) plus every command a player ran
+// and the tick it ran on. Ticks are deterministic, so that is enough to rebuild the session.
+export class Replay {
+    // Replay of everything a save has been through, up to the moment it was saved
+    static fromSave(saveData) {
+        return {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            seed: saveData.seed,
+            settings: saveData.settings,
+            start: saveData.replay.start,
+            commands: saveData.replay.commands,
+            length: saveData.gameState.time
+        };
+    }
+
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (e) {
+            return { success: false, reason: `Not a valid replay file (${e.message})` };
+        }
+        return Replay.upgrade(replay);
+    }
+
+    // Validate a replay and bring its starting save up to the current layout
+    static upgrade(replay) {
+        if (!SaveFormat.isObject(replay) || replay.format !== Replay.FORMAT) {
+            return { success: false, reason: 'Not a Cresville replay file' };
+        }
+        if (replay.version > Replay.VERSION) {
+            return { success: false, reason: `Replay is from a newer version of Cresville (v${replay.version})` };
+        }
+        if (!Number.isFinite(replay.seed) || !Number.isInteger(replay.length) || !Array.isArray(replay.commands)) {
+            return { success: false, reason: 'Replay is missing its seed, length or commands' };
+        }
+        // v1 replays recorded single tax rate changes
+        const commands = replay.version < 2 ? SaveFormat.migrateTaxCommands(replay.commands) : replay.commands;
+        const error = SaveFormat.validateCommands(commands);
+        if (error) {
+            return { success: false, reason: `Invalid replay: ${error}` };
+        }
+
+        let start = null;
+        if (replay.start) {
+            const result = SaveFormat.upgrade(replay.start);
+            if (!result.success) {
+                return { success: false, reason: `Replay start: ${result.reason}` };
+            }
+            start = result.saveData;
+        }
+        // v2 replays predate new-game settings, so their worlds used the defaults,
+        // everything before v4 was made by the single-octave generator, and
+        // structures worked without roads before v5
+        const settings = GameSetup.normalize(replay.settings);
+        if (replay.version < 4) {
+            settings.world.generator = 1;
+        }
+        if (replay.version < 5) {
+            settings.rules.roads = false;
+        }
+        return { success: true, replay: { ...replay, version: Replay.VERSION, settings, commands, start } };
+    }
+}
+
+Replay.FORMAT = 'cresville-replay';
+Replay.VERSION = 5;
+
+// Plays a replay into a context, with snapshots along the way so the
+// timeline can be scrubbed without re-simulating from the start each time
+export class ReplayPlayer {
+    constructor(context, replay) {
+        this.context = context;
+        this.replay = replay;
+        this.commands = [...replay.commands].sort((a, b) => a.tick - b.tick);
+        this.checkpointInterval = 100; // ticks between snapshots
+        this.checkpoints = new Map(); // key: tick, value: save JSON text
+        this.nextCommand = 0;
+        this.restart();
+    }
+
+    get startTick() {
+        return this.replay.start ? this.replay.start.gameState.time : 0;
+    }
+
+    get endTick() {
+        return this.replay.length;
+    }
+
+    get time() {
+        return this.context.gameState.time;
+    }
+
+    get finished() {
+        return this.time >= this.endTick;
+    }
+
+    restart() {
+        this.restore(() => {
+            if (this.replay.start) {
+                this.context.load(this.replay.start);
+            } else {
+                this.context.reset(this.replay.seed, this.replay.settings);
+            }
+        });
+    }
+
+    // Apply the commands recorded for the current tick, then run it
+    step() {
+        const time = this.time;
+        if (time % this.checkpointInterval === 0 && !this.checkpoints.has(time)) {
+            const snapshot = this.context.toJSON();
+            delete snapshot.replay;
+            this.checkpoints.set(time, JSON.stringify(snapshot));
+        }
+
+        while (this.nextCommand < this.commands.length && this.commands[this.nextCommand].tick <= time) {
+            const command = this.commands[this.nextCommand++];
+            const result = Commands.execute(this.context, command);
+            if (!result.success) {
+                this.context.gameState.addMessage(`Replay out of sync at ${command.type}: ${result.reason}`, 'error');
+            }
+        }
+        this.context.tick();
+    }
+
+    seek(tick) {
+        tick = Math.max(this.startTick, Math.min(this.endTick, tick));
+
+        // Jump to the latest snapshot at or before the target, unless we are already closer
+        let best = null;
+        for (let checkpoint of this.checkpoints.keys()) {
+            if (checkpoint <= tick && (best === null || checkpoint > best)) {
+                best = checkpoint;
+            }
+        }
+        if (tick < this.time || (best !== null && best > this.time)) {
+            if (best === null) {
+                this.restart();
+            } else {
+                this.restore(() => this.context.load(JSON.parse(this.checkpoints.get(best))));
+            }
+        }
+
+        while (this.time < tick) {
+            this.step();
+        }
+    }
+
+    // Swap in earlier state without moving the camera or unlocking the context
+    restore(load) {
+        const camera = { ...this.context.camera };
+        load();
+        this.context.camera = camera;
+        this.context.readOnly = true;
+        this.nextCommand = this.commands.findIndex(command => command.tick >= this.time);
+        if (this.nextCommand === -1) {
+            this.nextCommand = this.commands.length;
+        }
+    }
+}
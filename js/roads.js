@@ -0,0 +1,76 @@
+import { StructureRegistry } from './structures.js';
+
+// Connections between structures. Paths run along road tiles and through
+// houses, so a row of houses is one cluster; other structures are only ever the
+// ends of a path, and structures right next to each other reach each other
+// directly. A step between two tiles is only usable while the slope between
+// them stays within what a road can be built on.
+export class RoadNetwork {
+    constructor(world) {
+        this.world = world;
+        this.distances = new Map(); // key: "x,y" of a structure, value: its getDistances result
+    }
+
+    // Called whenever structures or the ground under them change
+    invalidate() {
+        this.distances.clear();
+    }
+
+    // Path length from a structure to every other structure it reaches, nearest first
+    getDistances(structure) {
+        const key = `${structure.x},${structure.y}`;
+        if (this.distances.has(key)) {
+            return this.distances.get(key);
+        }
+
+        const reached = new Map();
+        const visited = new Set([key]);
+        const queue = [{ tile: this.world.getTile(structure.x, structure.y), distance: 0 }];
+        for (let i = 0; i < queue.length; i++) {
+            const { tile, distance } = queue[i];
+            for (let [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const neighbor = this.world.getTile(tile.x + dx, tile.y + dy);
+                const neighborKey = `${neighbor.x},${neighbor.y}`;
+                if (!neighbor.structure || visited.has(neighborKey) || !this.canLink(tile, neighbor)) continue;
+                visited.add(neighborKey);
+                if (!RoadNetwork.isRoad(neighbor.structure)) {
+                    reached.set(neighbor.structure, distance + 1);
+                }
+                if (RoadNetwork.isPassable(neighbor.structure)) {
+                    queue.push({ tile: neighbor, distance: distance + 1 });
+                }
+            }
+        }
+
+        this.distances.set(key, reached);
+        return reached;
+    }
+
+    // Path length to the nearest house or storage; 0 for one of those itself, null if none is reached
+    getHubDistance(structure) {
+        if (RoadNetwork.isHub(structure)) return 0;
+        for (let [other, distance] of this.getDistances(structure)) {
+            if (RoadNetwork.isHub(other)) return distance;
+        }
+        return null;
+    }
+
+    canLink(a, b) {
+        return Math.abs(a.altitude - b.altitude) <= this.world.getMaxAltitudeDiff('road');
+    }
+
+    static isRoad(structure) {
+        const definition = StructureRegistry.get(structure.type);
+        return Boolean(definition && definition.road);
+    }
+
+    static isPassable(structure) {
+        const definition = StructureRegistry.get(structure.type);
+        return Boolean(definition && definition.passable);
+    }
+
+    static isHub(structure) {
+        const definition = StructureRegistry.get(structure.type);
+        return Boolean(definition && definition.hub);
+    }
+}
@@ -0,0 +1,426 @@
+import { SaveCompression } from './compression.js';
+import { StructureRegistry } from './structures.js';
+import { Commands } from './commands.js';
+import { GameSetup } from './setup.js';
+
+// Save slot storage shared by the menu and the game.
+// The `saves` key holds the slot index; each slot's data lives in `gameSave_<id>`.
+export class SaveStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.autosaveSlots = 3; // per seed, rotated oldest-first
+        this.migrateLegacySaves();
+    }
+
+    list() {
+        return this.readIndex().sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.readIndex().find(entry => entry.id === id) || null;
+    }
+
+    read(id) {
+        const text = this.readText(id);
+        return text ? JSON.parse(text) : null;
+    }
+
+    // Uncompressed save JSON, for parsing with SaveFormat
+    readText(id) {
+        const raw = this.storage.getItem('gameSave_' + id);
+        return raw ? SaveCompression.decompress(raw) : null;
+    }
+
+    // A slot's save data, migrated and validated by SaveFormat.parse, or why it cannot be read
+    parse(id) {
+        let text;
+        try {
+            text = this.readText(id);
+        } catch (e) {
+            return { success: false, reason: `Not a valid save file (${e.message})` };
+        }
+        return text ? SaveFormat.parse(text) : { success: false, reason: 'Save not found' };
+    }
+
+    // Create a new manual slot, or overwrite an existing one when id is given.
+    // Returns { success, id } or { success: false, reason }, like write.
+    saveManual(name, saveData, id = null) {
+        const entry = {
+            id: id || this.createId(),
+            name,
+            kind: 'manual'
+        };
+        return this.write(entry, saveData);
+    }
+
+    // Autosaves rotate through their own slots and never touch manual saves
+    saveAuto(saveData) {
+        const seed = saveData.seed;
+        const slots = this.readIndex().filter(entry => entry.kind === 'auto' && entry.seed === seed);
+
+        let slot = 0;
+        if (slots.length >= this.autosaveSlots) {
+            const oldest = slots.reduce((a, b) => (a.updatedAt <= b.updatedAt ? a : b));
+            slot = oldest.slot;
+        } else {
+            const used = slots.map(entry => entry.slot);
+            while (used.includes(slot)) slot++;
+        }
+
+        const entry = {
+            id: `auto_${seed}_${slot}`,
+            name: `Autosave ${slot + 1}`,
+            kind: 'auto',
+            slot
+        };
+        return this.write(entry, saveData);
+    }
+
+    rename(id, name) {
+        const index = this.readIndex();
+        const entry = index.find(e => e.id === id);
+        if (!entry) return false;
+        entry.name = name;
+        this.writeIndex(index);
+        return true;
+    }
+
+    // Copies always become manual saves so they are safe from autosave rotation
+    duplicate(id) {
+        const entry = this.get(id);
+        if (!entry) return { success: false, reason: 'Save not found' };
+        const result = this.parse(id);
+        if (!result.success) return result;
+        return this.saveManual(`${entry.name} (copy)`, result.saveData);
+    }
+
+    remove(id) {
+        this.storage.removeItem('gameSave_' + id);
+        this.writeIndex(this.readIndex().filter(entry => entry.id !== id));
+    }
+
+    write(entry, saveData) {
+        const summary = {
+            ...entry,
+            seed: saveData.seed,
+            time: saveData.gameState.time,
+            population: saveData.gameState.population,
+            money: Math.floor(saveData.gameState.money),
+            updatedAt: Date.now()
+        };
+
+        const key = 'gameSave_' + entry.id;
+        const previous = this.storage.getItem(key);
+        const index = this.readIndex().filter(e => e.id !== entry.id);
+        index.push(summary);
+        try {
+            this.storage.setItem(key, SaveCompression.compress(JSON.stringify(saveData)));
+            this.writeIndex(index);
+        } catch (e) {
+            if (!SaveStore.isQuotaExceeded(e)) throw e;
+            // Leave the slot as it was before, so a full storage never costs an existing save
+            if (previous === null) {
+                this.storage.removeItem(key);
+            } else {
+                this.storage.setItem(key, previous);
+            }
+            return { success: false, reason: 'Not enough storage space left; delete some saves and try again' };
+        }
+        return { success: true, id: entry.id };
+    }
+
+    // Browsers name and number the storage-full error differently
+    static isQuotaExceeded(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    // Longest stretch of time away (seconds) that is simulated when a save is loaded
+    getOfflineLimit() {
+        const stored = this.storage.getItem('offlineCatchUpLimit');
+        return stored === null ? SaveStore.DEFAULT_OFFLINE_LIMIT : parseInt(stored);
+    }
+
+    setOfflineLimit(seconds) {
+        this.storage.setItem('offlineCatchUpLimit', seconds);
+    }
+
+    // Share (0-1) of a structure's costs given back when it is demolished
+    getDemolishRefund() {
+        const stored = this.storage.getItem('demolishRefund');
+        return stored === null ? SaveStore.DEFAULT_DEMOLISH_REFUND : parseFloat(stored);
+    }
+
+    setDemolishRefund(fraction) {
+        this.storage.setItem('demolishRefund', fraction);
+    }
+
+    // Settings last used on the new-game screen; the game page starts new games with them
+    getNewGameSetup() {
+        const stored = this.storage.getItem('newGameSetup');
+        return GameSetup.normalize(stored === null ? null : JSON.parse(stored));
+    }
+
+    setNewGameSetup(settings) {
+        this.storage.setItem('newGameSetup', JSON.stringify(settings));
+    }
+
+    createId() {
+        return `save_${Date.now().toString(36)}_${Math.floor(Math.random() * 1e6).toString(36)}`;
+    }
+
+    readIndex() {
+        return JSON.parse(this.storage.getItem('saves') || '[]');
+    }
+
+    writeIndex(index) {
+        this.storage.setItem('saves', JSON.stringify(index));
+    }
+
+    // Older versions kept one `gameSave_<seed>` per seed with no id in the index.
+    // An entry whose data cannot be read is left out of the index, with its data
+    // left where it was, rather than stopping the menu from opening.
+    migrateLegacySaves() {
+        const index = this.readIndex();
+        if (!index.some(entry => !entry.id)) return;
+
+        const migrated = [];
+        for (let entry of index) {
+            if (entry.id) {
+                migrated.push(entry);
+                continue;
+            }
+
+            const id = `legacy_${entry.seed}`;
+            const raw = this.storage.getItem('gameSave_' + entry.seed);
+            let gameState = { population: 0, money: 0 };
+            try {
+                if (raw) {
+                    gameState = { ...gameState, ...JSON.parse(SaveCompression.decompress(raw)).gameState };
+                    this.storage.setItem('gameSave_' + id, raw);
+                }
+            } catch (e) {
+                console.warn(`Could not move old save for seed ${entry.seed}`, e);
+                continue;
+            }
+            if (raw) {
+                this.storage.removeItem('gameSave_' + entry.seed);
+            }
+            migrated.push({
+                id,
+                name: entry.name,
+                kind: 'manual',
+                seed: entry.seed,
+                time: entry.time || 0,
+                population: gameState.population,
+                money: Math.floor(gameState.money),
+                updatedAt: 0
+            });
+        }
+        this.writeIndex(migrated);
+    }
+}
+
+SaveStore.DEFAULT_OFFLINE_LIMIT = 8 * 3600;
+SaveStore.DEFAULT_DEMOLISH_REFUND = 0.5;
+
+// Save schema versioning, migration and validation.
+// Bump VERSION and add a migration from the previous version whenever the layout changes.
+export class SaveFormat {
+    // Parse an exported save file into data ready for Game.loadGame
+    static parse(text) {
+        let saveData;
+        try {
+            saveData = JSON.parse(text);
+        } catch (e) {
+            return { success: false, reason: `Not a valid save file (${e.message})` };
+        }
+        return SaveFormat.upgrade(saveData);
+    }
+
+    // Migrate save data of any known version to the current layout and validate it
+    static upgrade(saveData) {
+        if (!SaveFormat.isObject(saveData)) {
+            return { success: false, reason: 'Save file does not contain a save object' };
+        }
+
+        const version = saveData.version === undefined ? 1 : saveData.version;
+        if (!Number.isInteger(version) || version < 1) {
+            return { success: false, reason: `Unknown save version "${saveData.version}"` };
+        }
+        if (version > SaveFormat.VERSION) {
+            return { success: false, reason: `Save is from a newer version of Cresville (v${version}, this game reads up to v${SaveFormat.VERSION})` };
+        }
+
+        let migrated = JSON.parse(JSON.stringify(saveData));
+        for (let v = version; v < SaveFormat.VERSION; v++) {
+            migrated = SaveFormat.migrations[v](migrated);
+            migrated.version = v + 1;
+        }
+
+        const error = SaveFormat.validate(migrated);
+        if (error) {
+            return { success: false, reason: `Invalid save: ${error}` };
+        }
+        return { success: true, saveData: migrated };
+    }
+
+    // Returns a description of the first problem found, or null if the save is usable
+    static validate(saveData) {
+        if (!Number.isFinite(saveData.seed)) {
+            return 'missing or non-numeric seed';
+        }
+        if (!SaveFormat.isObject(saveData.settings)) {
+            return 'missing new-game settings';
+        }
+
+        const gameState = saveData.gameState;
+        if (!SaveFormat.isObject(gameState)) {
+            return 'missing gameState';
+        }
+        for (let field of ['money', 'food', 'wood', 'population', 'time']) {
+            if (!Number.isFinite(gameState[field])) {
+                return `gameState.${field} must be a number`;
+            }
+        }
+
+        const world = saveData.world;
+        if (!SaveFormat.isObject(world) || !Array.isArray(world.tiles)) {
+            return 'missing world tiles';
+        }
+        const badTile = world.tiles.findIndex(tile => !SaveFormat.isObject(tile) || !Number.isInteger(tile.x) || !Number.isInteger(tile.y));
+        if (badTile >= 0) {
+            return `world tile #${badTile} has no integer x/y position`;
+        }
+
+        const economy = saveData.economy;
+        if (!SaveFormat.isObject(economy) || !Array.isArray(economy.structures)) {
+            return 'missing economy structures';
+        }
+        for (let i = 0; i < economy.structures.length; i++) {
+            const structure = economy.structures[i];
+            if (!SaveFormat.isObject(structure) || !Number.isInteger(structure.x) || !Number.isInteger(structure.y)) {
+                return `structure #${i} has no integer x/y position`;
+            }
+            if (!StructureRegistry.has(structure.type)) {
+                return `structure #${i} has unknown type "${structure.type}"`;
+            }
+            if (!Number.isInteger(structure.level) || !SaveFormat.isObject(structure.data)) {
+                return `structure #${i} (${structure.type}) is missing its level or data`;
+            }
+        }
+
+        const replay = saveData.replay;
+        if (!SaveFormat.isObject(replay) || !Array.isArray(replay.commands)) {
+            return 'missing replay command history';
+        }
+        return SaveFormat.validateCommands(replay.commands);
+    }
+
+    static validateCommands(commands) {
+        for (let i = 0; i < commands.length; i++) {
+            const command = commands[i];
+            if (!SaveFormat.isObject(command) || !Number.isInteger(command.tick)) {
+                return `command #${i} has no tick`;
+            }
+            if (!Commands.isKnown(command.type)) {
+                return `command #${i} has unknown type "${command.type}"`;
+            }
+            const error = Commands.validate(command);
+            if (error) {
+                return `command #${i} (${command.type}) ${error}`;
+            }
+        }
+        return null;
+    }
+
+    // Before policies, one tax rate covered everything; a recorded change to it
+    // becomes a change to both the business and residential tax
+    static migrateTaxCommands(commands) {
+        return commands.flatMap(command => {
+            if (!SaveFormat.isObject(command) || command.type !== 'tax') return [command];
+            return ['businessTax', 'residentialTax'].map(name => ({ tick: command.tick, type: 'policy', name, value: command.rate }));
+        });
+    }
+
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+SaveFormat.VERSION = 7;
+
+// migrations[n] upgrades a version n save to version n + 1
+SaveFormat.migrations = {
+    // v1 saved every tile in full, including a copy of its structure, and
+    // predates material stockpiles and job assignment
+    1: (saveData) => {
+        if (saveData.world && Array.isArray(saveData.world.tiles)) {
+            saveData.world.tiles.forEach(tile => {
+                if (SaveFormat.isObject(tile)) delete tile.structure;
+            });
+        }
+        if (SaveFormat.isObject(saveData.gameState)) {
+            saveData.gameState = { stone: 0, iron: 0, uranium: 0, messages: [], ...saveData.gameState };
+        }
+        if (saveData.economy && Array.isArray(saveData.economy.structures)) {
+            saveData.economy.structures.forEach(structure => {
+                if (SaveFormat.isObject(structure) && SaveFormat.isObject(structure.data) && structure.type !== 'house') {
+                    structure.data.workers = structure.data.workers || 0;
+                }
+            });
+        }
+        return saveData;
+    },
+
+    // v2 kept no command history, so a replay of an older game starts from the save itself
+    2: (saveData) => {
+        const start = JSON.parse(JSON.stringify(saveData));
+        saveData.replay = { start, commands: [] };
+        return saveData;
+    },
+
+    // v3 had a single income tax rate instead of policies
+    3: (saveData) => {
+        if (SaveFormat.isObject(saveData.gameState)) {
+            const rate = Number.isFinite(saveData.gameState.incomeTaxRate) ? saveData.gameState.incomeTaxRate : 0.1;
+            saveData.gameState.policies = { businessTax: rate, residentialTax: rate };
+            delete saveData.gameState.incomeTaxRate;
+        }
+        if (SaveFormat.isObject(saveData.replay) && Array.isArray(saveData.replay.commands)) {
+            saveData.replay.commands = SaveFormat.migrateTaxCommands(saveData.replay.commands);
+        }
+        return saveData;
+    },
+
+    // v4 had no new-game settings; every world used what are now the defaults
+    4: (saveData) => {
+        saveData.settings = GameSetup.getDefaults();
+        return saveData;
+    },
+
+    // v5 worlds were all made by the single-octave generator
+    5: (saveData) => {
+        if (SaveFormat.isObject(saveData.settings)) {
+            saveData.settings.world = { ...saveData.settings.world, generator: 1 };
+            if (SaveFormat.isObject(saveData.world)) {
+                saveData.world.options = { ...saveData.settings.world };
+            }
+        }
+        return saveData;
+    },
+
+    // v6 structures worked without roads
+    6: (saveData) => {
+        if (SaveFormat.isObject(saveData.settings)) {
+            saveData.settings.rules = { ...saveData.settings.rules, roads: false };
+        }
+        return saveData;
+    }
+};
+
+export function formatTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
@@ -0,0 +1,75 @@
+import { World } from './world.js';
+
+// New-game settings: world generation options, starting stockpiles and game
+// rules, picked from a difficulty preset and then tweaked. They are saved with
+// the game so its world regenerates and plays the same way.
+//   { difficulty: 'normal', world: { seaLevel, roughness, forestDensity, oreRichness }, start: { money, food, wood }, rules: { roads } }
+export class GameSetup {
+    static getDefaults() {
+        return GameSetup.fromDifficulty('normal');
+    }
+
+    static fromDifficulty(name) {
+        const preset = GameSetup.DIFFICULTIES[name];
+        return {
+            difficulty: name,
+            world: { ...World.DEFAULT_OPTIONS, ...preset.world },
+            start: { ...preset.start },
+            rules: { ...GameSetup.RULES }
+        };
+    }
+
+    // Fill in anything missing, e.g. from a save made before settings existed
+    static normalize(settings) {
+        const defaults = GameSetup.getDefaults();
+        if (!settings) return defaults;
+        return {
+            difficulty: settings.difficulty || 'custom',
+            world: { ...defaults.world, ...settings.world },
+            start: { ...defaults.start, ...settings.start },
+            rules: { ...defaults.rules, ...settings.rules }
+        };
+    }
+
+    // Numbers are used as they are, so existing seeds keep their worlds;
+    // any other text is hashed (32-bit FNV-1a)
+    static hashSeed(text) {
+        text = String(text).trim();
+        if (/^-?\d+$/.test(text)) {
+            return parseInt(text);
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static randomSeed() {
+        return String(Math.floor(Math.random() * 1000000));
+    }
+}
+
+// Rules every new game is played by; older saves keep what they started with
+GameSetup.RULES = {
+    roads: true // structures only work once connected to a house or storage (see RoadNetwork)
+};
+
+GameSetup.DIFFICULTIES = {
+    relaxed: {
+        label: 'Relaxed',
+        world: { forestDensity: 0.5, oreRichness: 1.5 },
+        start: { money: 1000, food: 100, wood: 200 }
+    },
+    normal: {
+        label: 'Normal',
+        world: {},
+        start: { money: 500, food: 50, wood: 100 }
+    },
+    hard: {
+        label: 'Hard',
+        world: { forestDensity: 0.3, oreRichness: 0.75 },
+        start: { money: 250, food: 25, wood: 50 }
+    }
+};
@@ -0,0 +1,209 @@
+import { Forests } from './forests.js';
+
+// Structure catalog shared by the economy, world rules and UI.
+// Adding a building type means adding one register() call below.
+export class StructureRegistry {
+    static register(type, definition) {
+        StructureRegistry.types.set(type, {
+            type,
+            jobs: 0,
+            capacity: 0,
+            maxLevel: 1,
+            maxAltitudeDiff: 1,
+            upkeep: 0, // money per tick, per level
+            hub: false, // goods are delivered here; other structures only work while connected to a hub
+            passable: false, // paths between structures may run through it (see RoadNetwork)
+            road: false,
+            upgrades: {},
+            createData: () => ({}),
+            tick: null,
+            ...definition
+        });
+    }
+
+    static get(type) {
+        return StructureRegistry.types.get(type);
+    }
+
+    static has(type) {
+        return StructureRegistry.types.has(type);
+    }
+
+    static getAll() {
+        return Array.from(StructureRegistry.types.values());
+    }
+}
+
+StructureRegistry.types = new Map();
+
+StructureRegistry.register('house', {
+    name: 'House',
+    description: 'Homes residents. Each level adds room for 5 more. Other structures work once a road connects them to a house or storage.',
+    color: '#FF6B6B',
+    icon: '🏠',
+    cost: { money: 100, wood: 50, food: 0 },
+    maxAltitudeDiff: 1,
+    capacity: 5, // per level
+    upkeep: 0.05,
+    maxLevel: 3,
+    hub: true,
+    passable: true,
+    upgrades: {
+        2: { cost: { money: 150, wood: 60, stone: 20 } },
+        3: { cost: { money: 300, wood: 100, stone: 50, iron: 20 }, milestone: { population: 25 } }
+    },
+    createData: () => ({ residents: 0, capacity: 5 })
+});
+
+StructureRegistry.register('farm', {
+    name: 'Farm',
+    description: 'Grows food and pays tax on its income. Goes bankrupt if taxes eat all its income.',
+    color: '#FFD93D',
+    icon: '🌾',
+    cost: { money: 80, wood: 30, food: 10 },
+    maxAltitudeDiff: 1,
+    jobs: 4, // per level
+    upkeep: 0.1,
+    maxLevel: 3,
+    upgrades: {
+        2: { cost: { money: 120, wood: 40, stone: 10 } },
+        3: { cost: { money: 250, wood: 80, stone: 30, iron: 10 }, milestone: { population: 15 } }
+    },
+    createData: () => ({ production: 0, foodPerTick: 0.5, workers: 0 }),
+    tick(economy, farm) {
+        const gameState = economy.gameState;
+        const staffing = economy.getStaffingMultiplier(farm);
+        if (staffing === 0) return; // nobody to work the fields, so nothing to earn or tax
+        const income = 10 * staffing;
+        const tax = income * gameState.policies.businessTax;
+        const netIncome = income - tax;
+
+        // Farm goes bankrupt if income < 0 after tax
+        if (netIncome <= 0) {
+            economy.destroyStructure(farm.x, farm.y);
+            economy.recordEvent('bankruptcies');
+            gameState.addMessage('Farm went bankrupt due to high taxes', 'error', farm);
+            return;
+        }
+
+        // The farm keeps what is left after tax; only the tax reaches the treasury
+        economy.credit('businessTax', tax);
+
+        // Produce food
+        farm.data.foodPerTick = 1 + (0.5 * (farm.level - 1));
+        gameState.food += farm.data.foodPerTick * staffing * economy.getTransportMultiplier(farm);
+    }
+});
+
+StructureRegistry.register('mine', {
+    name: 'Mine',
+    description: 'Extracts stone, then iron, then uranium from deposits within 4 tiles.',
+    color: '#8B4513',
+    icon: '⛏',
+    cost: { money: 120, wood: 60, food: 0 },
+    maxAltitudeDiff: 3,
+    jobs: 6, // per level
+    upkeep: 0.2,
+    maxLevel: 3,
+    upgrades: {
+        2: { cost: { money: 200, wood: 80, stone: 40 }, milestone: { mineTier: 'iron' } },
+        3: { cost: { money: 400, wood: 120, stone: 80, iron: 30 }, milestone: { population: 30, mineTier: 'uranium' } }
+    },
+    createData: () => ({ resourceLevel: 'stone', extractedStone: 0, workers: 0 }),
+    tick(economy, mine) {
+        const gameState = economy.gameState;
+        // Export tariffs cut into what mines can sell, and a long haul into what they can ship, so they dig less
+        const staffing = economy.getStaffingMultiplier(mine) * economy.getTransportMultiplier(mine) * (1 - economy.getPolicy('exportTariff'));
+
+        // Find resources within 4 blocks, nearest tiles first
+        const tiles = [];
+        let resourcesAvailable = { stone: 0, iron: 0, uranium: 0 };
+
+        for (let dx = -4; dx <= 4; dx++) {
+            for (let dy = -4; dy <= 4; dy++) {
+                const tile = economy.world.getTile(mine.x + dx, mine.y + dy);
+                tiles.push({ tile, distance: Math.abs(dx) + Math.abs(dy) });
+                resourcesAvailable.stone += tile.resources.stone;
+                resourcesAvailable.iron += tile.resources.iron;
+                resourcesAvailable.uranium += tile.resources.uranium;
+            }
+        }
+        tiles.sort((a, b) => a.distance - b.distance);
+
+        // Mine resources based on level
+        if (mine.data.resourceLevel === 'stone' && resourcesAvailable.stone > 0) {
+            const mined = economy.extractResource(tiles, 'stone', 1 * mine.level * staffing);
+            gameState.stone += mined;
+            economy.exportOre('stone', mined);
+            mine.data.extractedStone += mined;
+
+            // Upgrade to iron if enough extracted
+            if (mine.data.extractedStone >= 100) {
+                mine.data.resourceLevel = 'iron';
+                mine.data.extractedStone = 0;
+                gameState.addMessage('Mine upgraded to iron extraction', 'success', mine);
+            }
+        } else if (mine.data.resourceLevel === 'iron' && resourcesAvailable.iron > 0) {
+            const mined = economy.extractResource(tiles, 'iron', 0.5 * mine.level * staffing);
+            gameState.iron += mined;
+            economy.exportOre('iron', mined);
+            mine.data.extractedStone += mined;
+
+            if (mine.data.extractedStone >= 100) {
+                mine.data.resourceLevel = 'uranium';
+                mine.data.extractedStone = 0;
+                gameState.addMessage('Mine upgraded to uranium extraction', 'success', mine);
+            }
+        } else if (mine.data.resourceLevel === 'uranium' && resourcesAvailable.uranium > 0) {
+            const mined = economy.extractResource(tiles, 'uranium', 0.2 * mine.level * staffing);
+            gameState.uranium += mined;
+            economy.exportOre('uranium', mined);
+        }
+    }
+});
+
+StructureRegistry.register('lumber', {
+    name: 'Lumber',
+    description: 'Logs the nearest forest within 8 tiles. Healthy forest yields more wood; logged forest regrows slowly.',
+    color: '#D4A574',
+    icon: '🪓',
+    cost: { money: 50, wood: 20, food: 0 },
+    maxAltitudeDiff: 2,
+    jobs: 3, // per level
+    upkeep: 0.1,
+    maxLevel: 3,
+    upgrades: {
+        2: { cost: { money: 80, wood: 30, stone: 10 } },
+        3: { cost: { money: 180, wood: 60, stone: 30, iron: 10 }, milestone: { population: 15 } }
+    },
+    createData: () => ({ woodPerTick: 0.5, workers: 0 }),
+    tick(economy, lumber) {
+        // Protected forests are logged at half the rate; a long haul to storage slows logging too
+        const work = lumber.level * economy.getStaffingMultiplier(lumber) * economy.getTransportMultiplier(lumber) *
+            (economy.getPolicy('forestProtection') ? 0.5 : 1);
+        economy.gameState.wood += Forests.harvest(economy, lumber, work);
+    }
+});
+
+StructureRegistry.register('storage', {
+    name: 'Storage',
+    description: 'A depot for goods. Farms, mines and lumber camps connected to one by road work without a house nearby, and haul their goods to the nearest house or storage.',
+    color: '#9C7A54',
+    icon: '📦',
+    cost: { money: 60, wood: 40, food: 0 },
+    maxAltitudeDiff: 1,
+    upkeep: 0.05,
+    hub: true
+});
+
+StructureRegistry.register('road', {
+    name: 'Road',
+    description: 'Connects structures to houses and storage. Drag across the map to lay a line of road.',
+    color: '#707070',
+    icon: '🛣',
+    cost: { money: 5, wood: 0, food: 0 },
+    maxAltitudeDiff: 2,
+    upkeep: 0.01,
+    passable: true,
+    road: true
+});
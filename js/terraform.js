@@ -0,0 +1,100 @@
+// Terraforming: reshape a tile so it can be built on. Moving the ground costs
+// more the further it moves, filling water also takes stone, and clearing
+// forest gives some of its wood back.
+export class Terraform {
+    // What an action would do to a tile: the fields it changes, what it costs
+    // and what it yields, or why it cannot be done
+    static plan(world, tile, action) {
+        if (!Terraform.ACTIONS[action]) {
+            return { success: false, reason: `Unknown terraforming action "${action}"` };
+        }
+        if (tile.structure) {
+            return { success: false, reason: 'Demolish the structure first' };
+        }
+
+        switch (action) {
+            case 'raise':
+            case 'lower':
+            case 'flatten': {
+                if (tile.altitude < 0 || tile.isRiver) {
+                    return { success: false, reason: 'Fill the water first' };
+                }
+                if (tile.isForest) {
+                    return { success: false, reason: 'Clear the forest first' };
+                }
+                const altitude = action === 'raise' ? tile.altitude + 1
+                    : action === 'lower' ? tile.altitude - 1
+                    : Terraform.getLevelAltitude(world, tile);
+                if (altitude === tile.altitude) {
+                    return { success: false, reason: 'Already level with its neighbours' };
+                }
+                if (altitude < 0) {
+                    return { success: false, reason: 'Cannot dig below sea level' };
+                }
+                if (altitude > Terraform.maxAltitude) {
+                    return { success: false, reason: 'Cannot build the land up any higher' };
+                }
+                return { success: true, changes: { altitude }, cost: Terraform.getCost(Math.abs(altitude - tile.altitude)), gain: {} };
+            }
+            case 'fill': {
+                if (tile.altitude >= 0 && !tile.isRiver) {
+                    return { success: false, reason: 'No water to fill' };
+                }
+                if (tile.altitude < -Terraform.maxFillDepth) {
+                    return { success: false, reason: 'Too deep to fill' };
+                }
+                // Rivers run at ground level, so filling one is as much work as one level of water
+                const depth = Math.max(1, -tile.altitude);
+                const changes = { altitude: Math.max(0, tile.altitude), isRiver: false };
+                if (tile.biome === 'water') {
+                    changes.biome = 'grassland';
+                }
+                const cost = Terraform.getCost(depth);
+                cost.stone = Terraform.fillStonePerLevel * depth;
+                return { success: true, changes, cost, gain: {} };
+            }
+            case 'clear': {
+                if (!tile.isForest) {
+                    return { success: false, reason: 'No forest to clear' };
+                }
+                const wood = Math.floor(tile.forestHealth * Terraform.clearingWoodPerHealth);
+                return { success: true, changes: { isForest: false, forestHealth: 0 }, cost: { ...Terraform.clearingCost }, gain: { wood } };
+            }
+        }
+    }
+
+    // Moving the ground one level costs costPerLevel, two levels three times that, three six times, ...
+    static getCost(levels) {
+        return { money: Terraform.costPerLevel * levels * (levels + 1) / 2 };
+    }
+
+    // The rounded average altitude of the dry land around a tile, which a flattened tile is brought to
+    static getLevelAltitude(world, tile) {
+        const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+            .map(([dx, dy]) => world.getTile(tile.x + dx, tile.y + dy))
+            .filter(neighbor => neighbor.altitude >= 0);
+        if (neighbors.length === 0) return tile.altitude;
+        return Math.round(neighbors.reduce((sum, neighbor) => sum + neighbor.altitude, 0) / neighbors.length);
+    }
+
+    // The fields an action changes, as they are before it
+    static getPrevious(tile, changes) {
+        const previous = {};
+        Object.keys(changes).forEach(field => previous[field] = tile[field]);
+        return previous;
+    }
+}
+
+Terraform.ACTIONS = {
+    raise: { name: 'Raise Land', icon: '⬆️', description: 'Raise the ground one level.' },
+    lower: { name: 'Lower Land', icon: '⬇️', description: 'Dig the ground down one level.' },
+    flatten: { name: 'Flatten', icon: '➖', description: 'Bring the ground level with the land around it.' },
+    fill: { name: 'Fill Water', icon: '🪨', description: 'Fill shallow water or a river with earth and stone to make dry land.' },
+    clear: { name: 'Clear Forest', icon: '🪓', description: 'Cut the trees down for wood.' }
+};
+Terraform.costPerLevel = 20; // money for the first level the ground moves
+Terraform.maxAltitude = 30; // highest the land can be built up
+Terraform.maxFillDepth = 3; // deepest water that can be filled
+Terraform.fillStonePerLevel = 10; // stone per level of water filled
+Terraform.clearingCost = { money: 5 };
+Terraform.clearingWoodPerHealth = 0.2; // wood from each point of forest health cleared
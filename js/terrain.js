@@ -0,0 +1,189 @@
+import { SeededRandom, PerlinNoise } from './world.js';
+
+// Terrain for generator 2 worlds: domain-warped fractal noise for altitude,
+// moisture and temperature fields for biomes, rivers traced downhill to the
+// sea, and ore veins from their own noise. Every field is a pure function of
+// the seed and position; river traces are cached, but a trace only depends on
+// the seed and the region it starts in, so tiles do not depend on visiting order.
+export class TerrainGenerator {
+    constructor(seed, options) {
+        this.seed = seed;
+        this.options = options;
+        this.height = new PerlinNoise(seed);
+        this.warp = new PerlinNoise(seed ^ 0x5bd1e995);
+        this.moisture = new PerlinNoise(seed ^ 0x27d4eb2f);
+        this.temperature = new PerlinNoise(seed ^ 0x165667b1);
+        this.ironVeins = new PerlinNoise(seed ^ 0x61c88647);
+        this.uraniumVeins = new PerlinNoise(seed ^ 0x7feb352d);
+        this.forestPatches = new PerlinNoise(seed ^ 0x2545f491);
+
+        this.octaves = 5;
+        this.warpStrength = 0.6; // in units of the base noise frequency
+        this.regionSize = 32; // tiles per side of the cells river sources are picked in
+        this.maxRiverLength = 96; // longest course, in tiles, a spring may take to the sea
+        this.riverSourceAltitude = 6; // rivers only start in the hills
+        this.maxRiverClimb = 1.5; // deepest hollow a river fills and flows out of
+        this.rivers = new Set(); // "x,y" of river tiles from every traced region
+        this.tracedRegions = new Set();
+        this.checkedRegions = new Set(); // regions whose surroundings have all been traced
+    }
+
+    generate(tile) {
+        tile.altitude = Math.round(this.getAltitude(tile.x, tile.y));
+        tile.biome = this.getBiome(tile.x, tile.y, tile.altitude);
+        tile.isRiver = tile.altitude >= 0 && this.isRiver(tile.x, tile.y);
+        this.generateResources(tile);
+        this.generateForest(tile);
+    }
+
+    // Fractal Brownian motion: octaves of noise at doubling frequency and halving amplitude, about -1 to 1
+    fbm(noise, x, y) {
+        let total = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let range = 0;
+        for (let i = 0; i < this.octaves; i++) {
+            total += noise.noise(x * frequency, y * frequency) * amplitude;
+            range += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        return total / range * 1.6;
+    }
+
+    // Unrounded altitude. The sample point is pushed around by a second noise
+    // field first, which bends coastlines and ridges instead of leaving round blobs.
+    getAltitude(x, y) {
+        const scale = this.options.roughness * 0.25;
+        const sx = x * scale;
+        const sy = y * scale;
+        const warpX = this.warp.noise(sx * 0.5 + 5.2, sy * 0.5 + 1.3) * this.warpStrength;
+        const warpY = this.warp.noise(sx * 0.5 + 1.7, sy * 0.5 + 9.2) * this.warpStrength;
+        return this.fbm(this.height, sx + warpX, sy + warpY) * 30 + 12 - this.options.seaLevel;
+    }
+
+    getBiome(x, y, altitude) {
+        if (altitude < 0) return 'water';
+        if (altitude >= 18) return 'mountain';
+
+        // Higher ground is colder
+        const moisture = this.fbm(this.moisture, x * 0.02 + 0.5, y * 0.02 + 0.5);
+        const temperature = this.fbm(this.temperature, x * 0.01 + 0.5, y * 0.01 + 0.5) - altitude * 0.015;
+        if (temperature < -0.25) {
+            return moisture > 0 ? 'taiga' : 'tundra';
+        }
+        if (temperature > 0.25 && moisture < -0.1) {
+            return 'desert';
+        }
+        return moisture > 0.05 ? 'woodland' : 'grassland';
+    }
+
+    isRiver(x, y) {
+        const regionX = Math.floor(x / this.regionSize);
+        const regionY = Math.floor(y / this.regionSize);
+        const key = `${regionX},${regionY}`;
+        if (!this.checkedRegions.has(key)) {
+            // Any source close enough for its river to reach this region
+            const reach = Math.ceil(this.maxRiverLength / this.regionSize);
+            for (let rx = regionX - reach; rx <= regionX + reach; rx++) {
+                for (let ry = regionY - reach; ry <= regionY + reach; ry++) {
+                    this.traceRegion(rx, ry);
+                }
+            }
+            this.checkedRegions.add(key);
+        }
+        return this.rivers.has(`${x},${y}`);
+    }
+
+    // Some regions have a spring in the hills; follow the way down from it to
+    // the sea. Small hollows fill up and overflow, so a river may climb a little
+    // out of one; a spring that runs into anything deeper never becomes a river.
+    traceRegion(regionX, regionY) {
+        const key = `${regionX},${regionY}`;
+        if (this.tracedRegions.has(key)) return;
+        this.tracedRegions.add(key);
+
+        const rng = new SeededRandom(this.seed ^ Math.imul(regionX, 0x27d4eb2d) ^ Math.imul(regionY, 0x165667b1));
+        if (rng.next() > 0.8) return;
+        let x = regionX * this.regionSize + rng.nextInt(0, this.regionSize - 1);
+        let y = regionY * this.regionSize + rng.nextInt(0, this.regionSize - 1);
+        let altitude = this.getAltitude(x, y);
+        if (altitude < this.riverSourceAltitude) return;
+
+        const course = new Set();
+        for (let step = 0; step < this.maxRiverLength && altitude >= 0; step++) {
+            course.add(`${x},${y}`);
+
+            let next = null;
+            for (let [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                if (course.has(`${x + dx},${y + dy}`)) continue;
+                const neighborAltitude = this.getAltitude(x + dx, y + dy);
+                if (!next || neighborAltitude < next.altitude) {
+                    next = { x: x + dx, y: y + dy, altitude: neighborAltitude };
+                }
+            }
+            if (!next || next.altitude > altitude + this.maxRiverClimb) return;
+            ({ x, y, altitude } = next);
+        }
+
+        // Only rivers that make it to the sea are kept
+        if (altitude < 0) {
+            course.forEach(tile => this.rivers.add(tile));
+        }
+    }
+
+    // Stone is everywhere and thicker in the hills; iron and uranium come in
+    // veins, iron mostly in the hills and uranium only in the mountains
+    generateResources(tile) {
+        const rng = new SeededRandom(this.seed + tile.x * 73856093 ^ tile.y * 19349663);
+        const richness = this.options.oreRichness;
+        const altitude = tile.altitude;
+
+        tile.resources.stone = Math.round(rng.nextInt(50, 150) * (altitude >= 10 ? 1.5 : 1) * richness);
+
+        const iron = this.getVein(this.ironVeins, tile.x, tile.y, 0.04, 0.9);
+        if (iron > 0) {
+            const hills = altitude >= 5 ? 1 : 0.4;
+            tile.resources.iron = Math.round(rng.nextInt(20, 80) * iron * hills * richness);
+        }
+
+        const uranium = this.getVein(this.uraniumVeins, tile.x, tile.y, 0.03, 0.92);
+        if (uranium > 0 && altitude >= 10) {
+            tile.resources.uranium = Math.round(rng.nextInt(2, 12) * uranium * richness);
+        }
+    }
+
+    // Ridged noise is close to 1 along thin winding lines, bent by a warp so they
+    // do not line up on the noise grid, and only kept where a coarser field says
+    // the rock is ore-bearing, so veins come in clusters. Returns 0-1.
+    getVein(noise, x, y, scale, threshold) {
+        const cluster = noise.noise(x * scale * 0.25 + 13.1, y * scale * 0.25 + 7.9);
+        if (cluster < 0.1) return 0;
+        const warp = noise.noise(x * scale * 0.5 + 31.7, y * scale * 0.5 + 47.3) * 2;
+        const ridge = 1 - Math.abs(noise.noise(x * scale + warp, y * scale - warp) * 2);
+        return ridge > threshold ? (ridge - threshold) / (1 - threshold) : 0;
+    }
+
+    generateForest(tile) {
+        if (tile.altitude < 0 || tile.isRiver) return;
+
+        const rng = new SeededRandom(this.seed + tile.x * 83492791 ^ tile.y * 39916801);
+        const patch = this.forestPatches.noise(tile.x * 0.05, tile.y * 0.05);
+        const chance = this.options.forestDensity * TerrainGenerator.BIOMES[tile.biome].forest;
+        if (patch > -0.1 && rng.next() < chance) {
+            tile.isForest = true;
+            tile.forestHealth = rng.nextInt(70, 100);
+        }
+    }
+}
+
+// forest: multiplier on the world's forest density
+TerrainGenerator.BIOMES = {
+    water: { name: 'Water', forest: 0 },
+    grassland: { name: 'Grassland', forest: 0.4 },
+    woodland: { name: 'Woodland', forest: 2 },
+    taiga: { name: 'Taiga', forest: 1.5 },
+    tundra: { name: 'Tundra', forest: 0.1 },
+    desert: { name: 'Desert', forest: 0 },
+    mountain: { name: 'Mountain', forest: 0.1 }
+};
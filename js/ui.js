@@ -1,69 +1,453 @@
+import { StructureRegistry } from './structures.js';
+import { Ledger } from './finances.js';
+import { Policies } from './policies.js';
+import { Happiness } from './happiness.js';
+import { TerrainGenerator } from './terrain.js';
+import { Forests } from './forests.js';
+import { Terraform } from './terraform.js';
+import { Commands } from './commands.js';
+
 // UI Management
-class GameUI {
-    constructor(canvas, gameState, world, economy) {
+export class GameUI {
+    constructor(canvas, context) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.gameState = gameState;
-        this.world = world;
-        this.economy = economy;
+        this.context = context;
+        this.zoomLevels = [2, 4, 8, 12, 16, 24, 32, 48, 72, 96];
+        this.zoomIndex = 6;
+        this.tileSize = this.zoomLevels[this.zoomIndex];
+        this.pixelZoomThreshold = 8; // below this tile size, tiles are drawn as plain pixels
+
+        // Far zoom draws cached 16x16 chunk images instead of individual tiles
+        this.chunkImageSize = 16;
+        this.chunkImages = new Map(); // key: "cx,cy", value: { canvas, renderedAt }
+        this.chunkImageMaxAge = 5000; // ms before a chunk image is redrawn
+        this.chunkImageBudget = 24; // chunk images (re)drawn per frame
+        this.terrainVersion = 0; // bumped when the player reshapes a tile, so the minimap redraws
+
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
 
-        this.cameraX = 0;
-        this.cameraY = 0;
-        this.gridSize = 9;
-        this.tileSize = 32;
+        this.tooltip = document.getElementById('mapTooltip');
+        this.pointer = null; // active mouse/single-touch drag
+        this.roadTool = false; // dragging lays road instead of moving the camera
+        this.pinch = null; // active two-finger pinch
 
         this.setupKeyListeners();
+        this.setupMouseListeners();
+        this.setupTouchListeners();
+    }
+
+    // The camera lives in the game context so it is saved and restored with the game
+    get cameraX() { return this.context.camera.x; }
+    set cameraX(value) { this.context.camera.x = value; }
+    get cameraY() { return this.context.camera.y; }
+    set cameraY(value) { this.context.camera.y = value; }
+    get selectedX() { return this.context.camera.selectedX; }
+    set selectedX(value) { this.context.camera.selectedX = value; }
+    get selectedY() { return this.context.camera.selectedY; }
+    set selectedY(value) { this.context.camera.selectedY = value; }
+
+    // Drop cached drawings of the previous world after a load
+    invalidate() {
+        this.chunkImages.clear();
+    }
+
+    // Redraw a tile the player has just changed instead of waiting for its chunk image to age out
+    invalidateTile(x, y) {
+        this.chunkImages.delete(`${Math.floor(x / this.chunkImageSize)},${Math.floor(y / this.chunkImageSize)}`);
+        this.terrainVersion++;
     }
 
     setupKeyListeners() {
+        // Arrow keys move the camera and the selection together
         window.addEventListener('keydown', (e) => {
             switch (e.key.toLowerCase()) {
                 case 'arrowup':
                     this.cameraY--;
+                    this.selectedY--;
                     break;
                 case 'arrowdown':
                     this.cameraY++;
+                    this.selectedY++;
                     break;
                 case 'arrowleft':
                     this.cameraX--;
+                    this.selectedX--;
                     break;
                 case 'arrowright':
                     this.cameraX++;
+                    this.selectedX++;
+                    break;
+                case 'escape':
+                    this.roadTool = false;
                     break;
             }
         });
     }
 
+    setupMouseListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.startPointer(e.clientX, e.clientY);
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.pointer) {
+                this.movePointer(e.clientX, e.clientY);
+            }
+        });
+
+        window.addEventListener('mouseup', (e) => {
+            if (this.pointer) {
+                this.endPointer(e.clientX, e.clientY);
+            }
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.showTooltip(e.clientX, e.clientY);
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hideTooltip();
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+    }
+
+    setupTouchListeners() {
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                this.startPointer(e.touches[0].clientX, e.touches[0].clientY);
+            } else if (e.touches.length === 2) {
+                this.pointer = null;
+                this.pinch = { distance: this.getTouchDistance(e.touches) };
+            }
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (this.pinch && e.touches.length === 2) {
+                // Step one zoom level each time the fingers spread or close by 25%
+                const distance = this.getTouchDistance(e.touches);
+                const ratio = distance / this.pinch.distance;
+                if (ratio > 1.25 || ratio < 0.8) {
+                    this.zoom(ratio > 1 ? 1 : -1);
+                    this.pinch.distance = distance;
+                }
+            } else if (this.pointer && e.touches.length === 1) {
+                this.movePointer(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            if (this.pointer && e.changedTouches.length > 0) {
+                this.endPointer(e.changedTouches[0].clientX, e.changedTouches[0].clientY);
+            }
+            if (e.touches.length < 2) {
+                this.pinch = null;
+            }
+        }, { passive: false });
+    }
+
+    getTouchDistance(touches) {
+        return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    }
+
+    startPointer(clientX, clientY) {
+        this.pointer = {
+            startX: clientX,
+            startY: clientY,
+            cameraX: this.cameraX,
+            cameraY: this.cameraY,
+            dragging: false,
+            road: this.roadTool ? [] : null // tiles dragged over with the road tool
+        };
+        if (this.pointer.road) {
+            this.extendRoad(clientX, clientY);
+        }
+    }
+
+    movePointer(clientX, clientY) {
+        if (this.pointer.road) {
+            this.extendRoad(clientX, clientY);
+            return;
+        }
+
+        const dx = clientX - this.pointer.startX;
+        const dy = clientY - this.pointer.startY;
+
+        // Small movements still count as a click
+        if (!this.pointer.dragging && Math.hypot(dx, dy) < 5) return;
+        this.pointer.dragging = true;
+        this.hideTooltip();
+
+        const scale = this.getCanvasScale();
+        this.cameraX = this.pointer.cameraX - Math.round(dx * scale / this.tileSize);
+        this.cameraY = this.pointer.cameraY - Math.round(dy * scale / this.tileSize);
+    }
+
+    endPointer(clientX, clientY) {
+        if (this.pointer.road) {
+            this.layRoad(this.pointer.road);
+            this.pointer = null;
+            return;
+        }
+        if (!this.pointer.dragging) {
+            const tile = this.screenToTile(clientX, clientY);
+            if (tile) {
+                this.selectedX = tile.x;
+                this.selectedY = tile.y;
+            }
+        }
+        this.pointer = null;
+    }
+
+    // Add the tiles from the end of the road being drawn to the one under the
+    // pointer, across and then down, so a quick drag leaves no gaps. The road
+    // stops growing once it is as long as one command allows.
+    extendRoad(clientX, clientY) {
+        const tile = this.screenToTile(clientX, clientY);
+        if (!tile) return;
+
+        const path = this.pointer.road;
+        if (path.length === 0) {
+            path.push({ x: tile.x, y: tile.y });
+        }
+        let { x, y } = path[path.length - 1];
+        while (x !== tile.x && path.length < Commands.maxRoadLength) {
+            x += Math.sign(tile.x - x);
+            path.push({ x, y });
+        }
+        while (y !== tile.y && path.length < Commands.maxRoadLength) {
+            y += Math.sign(tile.y - y);
+            path.push({ x, y });
+        }
+    }
+
+    layRoad(path) {
+        if (path.length === 0) return;
+        const result = this.context.execute({ type: 'road', tiles: path });
+        if (!result.success) {
+            this.context.gameState.addMessage(result.reason, 'error', path[0]);
+        }
+    }
+
+    // Ratio of canvas pixels to CSS pixels
+    getCanvasScale() {
+        const rect = this.canvas.getBoundingClientRect();
+        return rect.width > 0 ? this.canvas.width / rect.width : 1;
+    }
+
+    getTileScreenPosition(x, y) {
+        const originX = Math.floor(this.canvas.width / 2 - this.tileSize / 2);
+        const originY = Math.floor(this.canvas.height / 2 - this.tileSize / 2);
+        return {
+            screenX: originX + (x - this.cameraX) * this.tileSize,
+            screenY: originY + (y - this.cameraY) * this.tileSize
+        };
+    }
+
+    // Convert a mouse/touch position to the world tile under it
+    screenToTile(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.getCanvasScale();
+        const canvasX = (clientX - rect.left) * scale;
+        const canvasY = (clientY - rect.top) * scale;
+        if (canvasX < 0 || canvasY < 0 || canvasX >= this.canvas.width || canvasY >= this.canvas.height) {
+            return null;
+        }
+
+        const origin = this.getTileScreenPosition(this.cameraX, this.cameraY);
+        const x = this.cameraX + Math.floor((canvasX - origin.screenX) / this.tileSize);
+        const y = this.cameraY + Math.floor((canvasY - origin.screenY) / this.tileSize);
+        return this.context.world.getTile(x, y);
+    }
+
+    zoom(direction) {
+        const nextIndex = Math.max(0, Math.min(this.zoomLevels.length - 1, this.zoomIndex + direction));
+        if (nextIndex === this.zoomIndex) return;
+        this.zoomIndex = nextIndex;
+        this.tileSize = this.zoomLevels[nextIndex];
+    }
+
+    // Match the canvas to the space its container has
+    resize() {
+        const container = this.canvas.parentElement;
+        if (!container || container.clientWidth === 0 || container.clientHeight === 0) return;
+        this.canvas.width = container.clientWidth;
+        this.canvas.height = container.clientHeight;
+    }
+
+    // Inclusive tile bounds that cover the canvas around the camera
+    getVisibleRange() {
+        const origin = this.getTileScreenPosition(this.cameraX, this.cameraY);
+        return {
+            minX: this.cameraX - Math.ceil(origin.screenX / this.tileSize),
+            minY: this.cameraY - Math.ceil(origin.screenY / this.tileSize),
+            maxX: this.cameraX + Math.ceil((this.canvas.width - origin.screenX) / this.tileSize),
+            maxY: this.cameraY + Math.ceil((this.canvas.height - origin.screenY) / this.tileSize)
+        };
+    }
+
+    showTooltip(clientX, clientY) {
+        if (!this.tooltip || (this.pointer && this.pointer.dragging)) return;
+
+        const tile = this.screenToTile(clientX, clientY);
+        if (!tile) {
+            this.hideTooltip();
+            return;
+        }
+
+        let structureText = 'None';
+        if (tile.structure) {
+            const definition = StructureRegistry.get(tile.structure.type);
+            structureText = `${definition ? definition.name : tile.structure.type} (Lv ${tile.structure.level})`;
+        }
+
+        this.tooltip.innerHTML = `
+            <div class="tile-label">(${tile.x}, ${tile.y})</div>
+            <div>Altitude: ${tile.altitude}${GameUI.describeTerrain(tile)}</div>
+            <div>Stone: ${Math.floor(tile.resources.stone)} | Iron: ${Math.floor(tile.resources.iron)} | Uranium: ${Math.floor(tile.resources.uranium)}</div>
+            ${tile.isForest ? `<div>Forest: ${Math.floor(tile.forestHealth)}%</div>` : ''}
+            <div>Structure: ${structureText}</div>
+        `;
+        this.tooltip.style.left = `${clientX + 15}px`;
+        this.tooltip.style.top = `${clientY + 15}px`;
+        this.tooltip.style.display = 'block';
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+
+    // Centre the camera on a tile and select it
+    focusTile(x, y) {
+        this.cameraX = x;
+        this.cameraY = y;
+        this.selectedX = x;
+        this.selectedY = y;
+    }
+
     render() {
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        const tiles = this.world.getTiles(this.cameraX, this.cameraY, this.gridSize);
-        const halfGrid = Math.floor(this.gridSize / 2);
-
-        let index = 0;
-        for (let dy = -halfGrid; dy <= halfGrid; dy++) {
-            for (let dx = -halfGrid; dx <= halfGrid; dx++) {
-                const tile = tiles[index];
-                const screenX = (dx + halfGrid) * this.tileSize;
-                const screenY = (dy + halfGrid) * this.tileSize;
+        const range = this.getVisibleRange();
+        if (this.tileSize < this.pixelZoomThreshold) {
+            this.renderPixels(range);
+        } else {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let x = range.minX; x <= range.maxX; x++) {
+                    const tile = this.context.world.getTile(x, y);
+                    const { screenX, screenY } = this.getTileScreenPosition(x, y);
+                    this.drawTile(tile, screenX, screenY);
+                }
+            }
+        }
 
-                this.drawTile(tile, screenX, screenY);
-                index++;
+        // Road being drawn
+        if (this.pointer && this.pointer.road) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            for (let { x, y } of this.pointer.road) {
+                const { screenX, screenY } = this.getTileScreenPosition(x, y);
+                this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
             }
         }
 
-        // Highlight center tile
-        const centerScreenX = halfGrid * this.tileSize;
-        const centerScreenY = halfGrid * this.tileSize;
+        // Highlight selected tile
+        const selected = this.getTileScreenPosition(this.selectedX, this.selectedY);
         this.ctx.strokeStyle = '#ff9900';
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(centerScreenX, centerScreenY, this.tileSize, this.tileSize);
+        this.ctx.strokeRect(selected.screenX, selected.screenY, this.tileSize, this.tileSize);
+    }
+
+    // Minimap-style rendering: one pixel per tile from cached chunk images
+    renderPixels(range) {
+        const size = this.chunkImageSize;
+        const now = Date.now();
+        let budget = this.chunkImageBudget;
+
+        const minChunkX = Math.floor(range.minX / size);
+        const maxChunkX = Math.floor(range.maxX / size);
+        const minChunkY = Math.floor(range.minY / size);
+        const maxChunkY = Math.floor(range.maxY / size);
+
+        this.ctx.imageSmoothingEnabled = false;
+        for (let chunkY = minChunkY; chunkY <= maxChunkY; chunkY++) {
+            for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+                const key = `${chunkX},${chunkY}`;
+                let image = this.chunkImages.get(key);
+                if ((!image || now - image.renderedAt > this.chunkImageMaxAge) && budget > 0) {
+                    image = this.renderChunkImage(chunkX, chunkY, image);
+                    image.renderedAt = now;
+                    this.chunkImages.set(key, image);
+                    budget--;
+                }
+                if (!image) continue;
+
+                const { screenX, screenY } = this.getTileScreenPosition(chunkX * size, chunkY * size);
+                this.ctx.drawImage(image.canvas, screenX, screenY, size * this.tileSize, size * this.tileSize);
+            }
+        }
+
+        // Keep the cache from growing without bound while panning around
+        if (this.chunkImages.size > 4000) {
+            this.chunkImages.clear();
+        }
+
+        // Structures are drawn on top so new builds show up immediately
+        for (let structure of this.context.economy.getAllStructures()) {
+            if (structure.x < range.minX || structure.x > range.maxX || structure.y < range.minY || structure.y > range.maxY) continue;
+            const definition = StructureRegistry.get(structure.type);
+            const { screenX, screenY } = this.getTileScreenPosition(structure.x, structure.y);
+            this.ctx.fillStyle = definition ? definition.color : '#999';
+            this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
+        }
+    }
+
+    renderChunkImage(chunkX, chunkY, previous) {
+        const size = this.chunkImageSize;
+        const canvas = previous ? previous.canvas : document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(size, size);
+
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                const tile = this.context.world.peekTile(chunkX * size + dx, chunkY * size + dy);
+                const color = GameUI.parseColor(GameUI.getTerrainColor(tile));
+                const offset = (dy * size + dx) * 4;
+                imageData.data[offset] = color[0];
+                imageData.data[offset + 1] = color[1];
+                imageData.data[offset + 2] = color[2];
+                imageData.data[offset + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return { canvas, renderedAt: 0 };
+    }
+
+    // [r, g, b] of a #rrggbb colour, shared by everything that fills image data
+    static parseColor(hex) {
+        if (!GameUI.colorCache.has(hex)) {
+            const value = parseInt(hex.slice(1), 16);
+            GameUI.colorCache.set(hex, [(value >> 16) & 255, (value >> 8) & 255, value & 255]);
+        }
+        return GameUI.colorCache.get(hex);
     }
 
     drawTile(tile, screenX, screenY) {
-        // Draw ground based on altitude
-        const color = this.getAltitudeColor(tile.altitude);
+        // Draw ground based on altitude and biome
+        const color = GameUI.getGroundColor(tile);
         this.ctx.fillStyle = color;
         this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
 
@@ -73,13 +457,23 @@ class GameUI {
             this.ctx.fillRect(screenX, screenY, this.tileSize, this.tileSize);
         }
 
-        // Draw forest
+        // Draw river as a channel across the tile
+        if (tile.isRiver) {
+            const inset = Math.round(this.tileSize / 4);
+            this.ctx.fillStyle = GameUI.RIVER_COLOR;
+            this.ctx.fillRect(screenX, screenY + inset, this.tileSize, this.tileSize - inset * 2);
+            this.ctx.fillRect(screenX + inset, screenY, this.tileSize - inset * 2, this.tileSize);
+        }
+
+        // Draw forest, with a canopy that fills out as it grows back
         if (tile.isForest) {
-            this.ctx.fillStyle = '#228B22';
-            this.ctx.fillRect(screenX + 4, screenY + 4, this.tileSize - 8, this.tileSize - 8);
+            const inset = Math.round(this.tileSize / 8);
+            this.ctx.fillStyle = GameUI.getTerrainColor(tile);
+            this.ctx.fillRect(screenX + inset, screenY + inset, this.tileSize - inset * 2, this.tileSize - inset * 2);
             this.ctx.fillStyle = '#32CD32';
             this.ctx.beginPath();
-            this.ctx.arc(screenX + this.tileSize / 2, screenY + this.tileSize / 2, this.tileSize / 3, 0, Math.PI * 2);
+            const canopy = this.tileSize / 3 * (0.4 + 0.6 * tile.forestHealth / 100);
+            this.ctx.arc(screenX + this.tileSize / 2, screenY + this.tileSize / 2, canopy, 0, Math.PI * 2);
             this.ctx.fill();
         }
 
@@ -95,24 +489,90 @@ class GameUI {
     }
 
     drawStructure(structure, screenX, screenY) {
-        const colors = {
-            house: '#FF6B6B',
-            farm: '#FFD93D',
-            mine: '#8B4513',
-            lumber: '#D4A574'
-        };
+        const definition = StructureRegistry.get(structure.type);
+        if (definition && definition.road) {
+            this.drawRoad(structure, screenX, screenY);
+            return;
+        }
 
-        const color = colors[structure.type] || '#999';
+        const color = definition ? definition.color : '#999';
+        const inset = Math.round(this.tileSize * 3 / 16);
         this.ctx.fillStyle = color;
-        this.ctx.fillRect(screenX + 6, screenY + 6, this.tileSize - 12, this.tileSize - 12);
+        this.ctx.fillRect(screenX + inset, screenY + inset, this.tileSize - inset * 2, this.tileSize - inset * 2);
+
+        // Red corner until a road connects it to a house or storage
+        if (!this.context.economy.isConnected(structure)) {
+            this.ctx.fillStyle = '#ff3333';
+            this.ctx.fillRect(screenX + this.tileSize - inset * 2, screenY + inset, inset, inset);
+        }
+
+        // Labels only fit at closer zoom levels
+        if (this.tileSize < 24) return;
+
+        // Label positions and sizes are laid out for 32px tiles and scale with the zoom
+        const unit = this.tileSize / 32;
+
+        // Draw structure icon
+        if (definition && definition.icon) {
+            this.ctx.font = `${Math.round(12 * unit)}px Arial`;
+            this.ctx.fillText(definition.icon, screenX + 14 * unit, screenY + 26 * unit);
+        }
 
         // Draw structure level indicator
         this.ctx.fillStyle = '#fff';
-        this.ctx.font = '10px Arial';
-        this.ctx.fillText(structure.level, screenX + 10, screenY + 18);
+        this.ctx.font = `${Math.round(10 * unit)}px Arial`;
+        this.ctx.fillText(structure.level, screenX + 10 * unit, screenY + 18 * unit);
+    }
+
+    // A strip from the middle of the tile out to each neighbouring road or
+    // structure it links to, so joined roads run on unbroken
+    drawRoad(road, screenX, screenY) {
+        const world = this.context.world;
+        const tile = world.getTile(road.x, road.y);
+        const width = Math.max(2, Math.round(this.tileSize * 0.4));
+        const inset = Math.round((this.tileSize - width) / 2);
+        this.ctx.fillStyle = StructureRegistry.get(road.type).color;
+        this.ctx.fillRect(screenX + inset, screenY + inset, width, width);
+
+        for (let [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const neighbor = world.getTile(road.x + dx, road.y + dy);
+            if (!neighbor.structure || !this.context.economy.roads.canLink(tile, neighbor)) continue;
+            const far = this.tileSize - inset - width; // from the strip to the far edge
+            if (dx > 0) this.ctx.fillRect(screenX + inset + width, screenY + inset, far, width);
+            if (dx < 0) this.ctx.fillRect(screenX, screenY + inset, inset, width);
+            if (dy > 0) this.ctx.fillRect(screenX + inset, screenY + inset + width, width, far);
+            if (dy < 0) this.ctx.fillRect(screenX + inset, screenY, width, inset);
+        }
     }
 
-    getAltitudeColor(altitude) {
+    // Flat colour for far zoom levels, the minimap and previews. Forests are
+    // drawn denser the healthier they are.
+    static getTerrainColor(tile) {
+        if (tile.isRiver) return GameUI.RIVER_COLOR;
+        if (tile.isForest) {
+            const shade = Math.min(4, Math.floor(tile.forestHealth / 20));
+            return GameUI.FOREST_COLORS[shade];
+        }
+        return GameUI.getGroundColor(tile);
+    }
+
+    // Biomes tint the lowlands; hills, mountains and water go by altitude.
+    // Generator 1 worlds have no biomes.
+    static getGroundColor(tile) {
+        const biomeColors = { desert: '#E0C878', tundra: '#C8D0C0', taiga: '#6B8E5A', woodland: '#6FA85A' };
+        if (tile.altitude >= 0 && tile.altitude < 15 && biomeColors[tile.biome]) {
+            return biomeColors[tile.biome];
+        }
+        return GameUI.getAltitudeColor(tile.altitude);
+    }
+
+    // ", Woodland" or ", Taiga river" after a tile's altitude; nothing for generator 1 tiles
+    static describeTerrain(tile) {
+        if (!tile.biome) return '';
+        return `, ${TerrainGenerator.BIOMES[tile.biome].name}${tile.isRiver ? ' river' : ''}`;
+    }
+
+    static getAltitudeColor(altitude) {
         if (altitude < -5) return '#1a3a52'; // Deep water
         if (altitude < 0) return '#3a5a7a'; // Water
         if (altitude < 5) return '#90EE90'; // Low grass
@@ -123,7 +583,7 @@ class GameUI {
     }
 
     getSelectedTile() {
-        return this.world.getSelectedTile(this.cameraX, this.cameraY);
+        return this.context.world.getSelectedTile(this.selectedX, this.selectedY);
     }
 
     getCameraX() {
@@ -135,64 +595,119 @@ class GameUI {
     }
 }
 
+GameUI.colorCache = new Map(); // hex string -> [r, g, b]
+GameUI.RIVER_COLOR = '#3C78DC';
+GameUI.FOREST_COLORS = ['#8BC34A', '#5DA844', '#3E9A3A', '#2E9030', '#228B22']; // sparse to dense
+
 // Stats Panel UI
-class StatsPanel {
-    constructor(gameState, economy) {
-        this.gameState = gameState;
-        this.economy = economy;
+export class StatsPanel {
+    constructor(context) {
+        this.context = context;
+        this.renderedKey = null;
+    }
+
+    // Everything the panel shows, so the DOM is only rebuilt when it changes
+    getRenderKey() {
+        const gameState = this.context.gameState;
+        return JSON.stringify([
+            ['money', 'wood', 'food', 'stone', 'iron', 'uranium'].map(resource => Math.floor(gameState[resource])),
+            gameState.population,
+            gameState.employed,
+            this.context.economy.getJobSummary(),
+            this.getHappinessKey()
+        ]);
     }
 
     render() {
+        const key = this.getRenderKey();
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
         const panel = document.getElementById('statsPanel');
         panel.innerHTML = '';
 
         // Economy Stats
-        this.addStat(panel, 'Money', `$${Math.floor(this.gameState.money)}`, '#4a9eff');
-        this.addStat(panel, 'Wood', Math.floor(this.gameState.wood), '#D4A574');
-        this.addStat(panel, 'Food', Math.floor(this.gameState.food), '#FFD93D');
+        this.addStat(panel, 'Money', `$${Math.floor(this.context.gameState.money)}`, '#4a9eff');
+        this.addStat(panel, 'Wood', Math.floor(this.context.gameState.wood), '#D4A574');
+        this.addStat(panel, 'Food', Math.floor(this.context.gameState.food), '#FFD93D');
+        this.addStat(panel, 'Stone', Math.floor(this.context.gameState.stone), '#A9A9A9');
+        this.addStat(panel, 'Iron', Math.floor(this.context.gameState.iron), '#B0BEC5');
+        this.addStat(panel, 'Uranium', Math.floor(this.context.gameState.uranium), '#7CFC00');
         
         // Population Stats
         panel.innerHTML += '<div style="margin-top: 20px; padding-top: 15px; border-top: 2px solid #4a9eff;"></div>';
-        this.addStat(panel, 'Population', this.gameState.population, '#FF6B6B');
-        this.addStat(panel, 'Employed', this.gameState.employed, '#90EE90');
-        this.addStat(panel, 'Unemployed', this.gameState.population - this.gameState.employed, '#FF9999');
+        this.addStat(panel, 'Population', this.context.gameState.population, '#FF6B6B');
+        this.addStat(panel, 'Employed', this.context.gameState.employed, '#90EE90');
+        this.addStat(panel, 'Unemployed', this.context.gameState.population - this.context.gameState.employed, '#FF9999');
+        this.addHappiness(panel);
 
-        // Economy Controls
-        panel.innerHTML += '<div style="margin-top: 20px; padding-top: 15px; border-top: 2px solid #4a9eff;"><div class="panel-title" style="margin-bottom: 15px; margin-top: 0;">ECONOMY</div></div>';
-        
-        const sliderGroup = document.createElement('div');
-        sliderGroup.className = 'slider-group';
-        
-        const label = document.createElement('div');
-        label.className = 'slider-label';
-        label.innerHTML = `<span>Income Tax</span><span>${Math.floor(this.gameState.incomeTaxRate * 100)}%</span>`;
-        
-        const slider = document.createElement('input');
-        slider.type = 'range';
-        slider.min = '0';
-        slider.max = '100';
-        slider.value = this.gameState.incomeTaxRate * 100;
-        slider.oninput = (e) => {
-            this.gameState.incomeTaxRate = parseInt(e.target.value) / 100;
-            label.innerHTML = `<span>Income Tax</span><span>${e.target.value}%</span>`;
-        };
-        
-        sliderGroup.appendChild(label);
-        sliderGroup.appendChild(slider);
-        panel.appendChild(sliderGroup);
+        // Jobs filled per structure type
+        const jobSummary = this.context.economy.getJobSummary();
+        Object.keys(jobSummary).forEach(type => {
+            const jobs = jobSummary[type];
+            const name = StructureRegistry.get(type).name;
+            this.addStat(panel, `${name} Jobs`, `${jobs.filled}/${jobs.available}`, '#90EE90');
+        });
 
         // Warnings
-        if (this.gameState.food < 20) {
+        if (this.context.gameState.food < 20) {
             panel.innerHTML += '<div class="warning">⚠ Food running low!</div>';
         }
-        if (this.gameState.money < 50) {
+        if (this.context.gameState.money < 0) {
+            panel.innerHTML += '<div class="error">✖ The treasury is in debt!</div>';
+        } else if (this.context.gameState.money < 50) {
             panel.innerHTML += '<div class="warning">⚠ Money running low!</div>';
         }
-        if (this.gameState.population - this.gameState.employed > 10) {
+        if (this.context.gameState.population - this.context.gameState.employed > 10) {
             panel.innerHTML += '<div class="warning">⚠ High unemployment!</div>';
         }
     }
 
+    // Working out happiness scans around every house, too slow to do each frame
+    // just to see whether it moved. It only changes when a tick runs, a policy
+    // changes or the player builds, demolishes or reshapes something.
+    getHappinessKey() {
+        const { gameState, replay } = this.context;
+        return [gameState.time, gameState.policies, replay.commands.length];
+    }
+
+    // Happiness, the residential demand meter and what is driving them
+    addHappiness(panel) {
+        const economy = this.context.economy;
+        const happiness = economy.getHappiness();
+        const demand = economy.getResidentialDemand(happiness);
+        const color = happiness.score >= 60 ? '#66ff66' : happiness.score >= 40 ? '#FFD93D' : '#ff6666';
+        this.addStat(panel, 'Happiness', `${Math.round(happiness.score)}%`, color);
+
+        // Bar grows right of the centre line for demand, left for people wanting out
+        const meter = document.createElement('div');
+        meter.className = 'demand-meter';
+        meter.title = 'Residential demand';
+        const bar = document.createElement('div');
+        bar.className = 'demand-bar';
+        bar.style.left = `${50 + Math.min(demand, 0) * 50}%`;
+        bar.style.width = `${Math.abs(demand) * 50}%`;
+        bar.style.background = demand >= 0 ? '#66ff66' : '#ff6666';
+        meter.appendChild(bar);
+        const label = document.createElement('div');
+        label.className = 'demand-label';
+        label.textContent = `R ${demand > 0 ? '+' : ''}${Math.round(demand * 100)}`;
+        panel.appendChild(label);
+        panel.appendChild(meter);
+
+        for (let name of Object.keys(happiness.factors)) {
+            const points = Math.round(happiness.factors[name]);
+            if (points === 0) continue;
+            const row = document.createElement('div');
+            row.className = 'stat-row happiness-factor';
+            row.innerHTML = `
+                <span class="stat-label">${Happiness.FACTORS[name]}</span>
+                <span class="stat-value" style="color: ${points > 0 ? '#66ff66' : '#ff6666'}">${points > 0 ? '+' : ''}${points}</span>
+            `;
+            panel.appendChild(row);
+        }
+    }
+
     addStat(panel, label, value, color) {
         const row = document.createElement('div');
         row.className = 'stat-row';
@@ -204,68 +719,178 @@ class StatsPanel {
     }
 }
 
+// Tax rates and policy toggles. Controls are built once and only synced
+// afterwards, so a slider keeps working while it is being dragged.
+export class PoliciesPanel {
+    constructor(context) {
+        this.context = context;
+        this.controls = new Map(); // key: policy name, value: { input, value }
+        this.build();
+    }
+
+    build() {
+        const panel = document.getElementById('policiesPanel');
+        panel.innerHTML = '';
+
+        Policies.getAll().forEach(policy => {
+            const group = document.createElement('div');
+            group.className = 'slider-group';
+            group.title = policy.description;
+
+            const label = document.createElement('label');
+            label.className = 'slider-label';
+            const name = document.createElement('span');
+            name.textContent = policy.label;
+            const value = document.createElement('span');
+            label.appendChild(name);
+            label.appendChild(value);
+
+            const input = document.createElement('input');
+            if (policy.kind === 'toggle') {
+                input.type = 'checkbox';
+                input.onchange = () => this.setPolicy(policy.name, input.checked);
+                label.insertBefore(input, name);
+                group.appendChild(label);
+            } else {
+                input.type = 'range';
+                input.min = '0';
+                input.max = String(Math.round(policy.max * 100));
+                input.oninput = () => this.setPolicy(policy.name, parseInt(input.value) / 100);
+                group.appendChild(label);
+                group.appendChild(input);
+            }
+
+            panel.appendChild(group);
+            this.controls.set(policy.name, { policy, input, value });
+        });
+    }
+
+    setPolicy(name, value) {
+        const result = this.context.execute({ type: 'policy', name, value });
+        if (!result.success) {
+            this.context.gameState.addMessage(result.reason, 'error');
+        }
+        this.render();
+    }
+
+    // Follow changes from undo, loading or a replay
+    render() {
+        const policies = this.context.gameState.policies;
+        for (let { policy, input, value } of this.controls.values()) {
+            const current = policies[policy.name];
+            input.disabled = this.context.readOnly;
+            if (policy.kind === 'toggle') {
+                input.checked = current;
+                value.textContent = current ? 'On' : 'Off';
+            } else {
+                const percent = Math.round(current * 100);
+                if (document.activeElement !== input) {
+                    input.value = percent;
+                }
+                value.textContent = `${percent}%`;
+            }
+        }
+    }
+}
+
 // Actions Panel UI
-class ActionsPanel {
-    constructor(gameState, world, economy, ui) {
-        this.gameState = gameState;
-        this.world = world;
-        this.economy = economy;
+export class ActionsPanel {
+    constructor(context, ui, demolishRefund = 0) {
+        this.context = context;
         this.ui = ui;
+        this.demolishRefund = demolishRefund; // share of costs given back, from the menu setting
+        this.renderedKey = null;
+    }
+
+    // Everything the panel shows or uses to enable buttons, so the DOM is only rebuilt when it changes
+    getRenderKey(selectedTile) {
+        const gameState = this.context.gameState;
+        return JSON.stringify([
+            selectedTile.x,
+            selectedTile.y,
+            selectedTile.altitude,
+            selectedTile.isForest,
+            selectedTile.isRiver,
+            Math.floor(selectedTile.forestHealth),
+            Terraform.getLevelAltitude(this.context.world, selectedTile),
+            Object.values(selectedTile.resources).map(Math.floor),
+            selectedTile.structure,
+            selectedTile.structure ? this.context.economy.getTransportMultiplier(selectedTile.structure) : null,
+            this.ui.roadTool,
+            ['money', 'wood', 'food', 'stone', 'iron', 'uranium'].map(resource => Math.floor(gameState[resource])),
+            gameState.population
+        ]);
     }
 
     render() {
+        const selectedTile = this.ui.getSelectedTile();
+        const structure = selectedTile.structure;
+
+        const key = this.getRenderKey(selectedTile);
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
         const panel = document.getElementById('actionsList');
         panel.innerHTML = '';
 
-        const selectedTile = this.ui.getSelectedTile();
-        
+        let structureInfo = '<div style="color: #666;">Empty</div>';
+        if (structure) {
+            const definition = StructureRegistry.get(structure.type);
+            structureInfo = `<div style="color: #4a9eff;">Has: ${definition ? definition.name : structure.type}</div>`;
+            const jobs = this.context.economy.getStructureJobs(structure.type, structure.level);
+            if (structure.data.capacity !== undefined) {
+                structureInfo += `<div>Residents: ${structure.data.residents}/${structure.data.capacity}</div>`;
+            } else if (jobs > 0) {
+                structureInfo += `<div>Workers: ${structure.data.workers || 0}/${jobs}</div>`;
+            }
+            if (definition && definition.tick) {
+                structureInfo += this.context.economy.isConnected(structure)
+                    ? `<div>Delivered: ${Math.round(this.context.economy.getTransportMultiplier(structure) * 100)}% of output</div>`
+                    : '<div style="color: #ff6666;">Not connected: needs a road to a house or storage</div>';
+            }
+        }
+
         // Show selected tile info
         const tileInfo = document.createElement('div');
         tileInfo.className = 'selected-tile-info';
         tileInfo.innerHTML = `
             <div class="tile-label">Selected: (${selectedTile.x}, ${selectedTile.y})</div>
-            <div>Altitude: ${selectedTile.altitude}</div>
+            <div>Altitude: ${selectedTile.altitude}${GameUI.describeTerrain(selectedTile)}</div>
             <div>Stone: ${Math.floor(selectedTile.resources.stone)}</div>
             <div>Iron: ${Math.floor(selectedTile.resources.iron)}</div>
             <div>Uranium: ${Math.floor(selectedTile.resources.uranium)}</div>
-            ${selectedTile.structure ? `<div style="color: #4a9eff;">Has: ${selectedTile.structure.type}</div>` : '<div style="color: #666;">Empty</div>'}
+            ${selectedTile.isForest ? `<div>Forest: ${Math.floor(selectedTile.forestHealth)}%</div>` : ''}
+            ${structureInfo}
         `;
         panel.appendChild(tileInfo);
 
-        // Building actions
-        const structures = [
-            { name: 'House', type: 'house', cost: { money: 100, wood: 50, food: 0 } },
-            { name: 'Farm', type: 'farm', cost: { money: 80, wood: 30, food: 10 } },
-            { name: 'Mine', type: 'mine', cost: { money: 120, wood: 60, food: 0 } },
-            { name: 'Lumber', type: 'lumber', cost: { money: 50, wood: 20, food: 0 } }
-        ];
-
-        structures.forEach(struct => {
+        // Building actions; roads have their own tool below
+        StructureRegistry.getAll().filter(struct => !struct.road).forEach(struct => {
             const button = document.createElement('button');
             button.className = 'action-button';
-            
+            button.title = struct.description;
+            const cost = this.context.economy.getStructureCost(struct.type);
+
             const canAfford = 
-                this.gameState.money >= struct.cost.money &&
-                this.gameState.wood >= struct.cost.wood &&
-                this.gameState.food >= struct.cost.food &&
+                !this.context.economy.getMissingResource(cost) &&
                 !selectedTile.structure &&
-                this.world.canBuildStructure(selectedTile, struct.type).canBuild;
+                this.context.world.canBuildStructure(selectedTile, struct.type).canBuild;
 
             if (!canAfford) {
                 button.classList.add('disabled');
             }
 
-            button.innerHTML = `${struct.name}
-                <div class="cost-info">$${struct.cost.money} | 🪵${struct.cost.wood} | 🍎${struct.cost.food}</div>
+            button.innerHTML = `${struct.icon} ${struct.name}
+                <div class="cost-info">${this.formatCost(cost)}</div>
             `;
 
             button.onclick = () => {
                 if (canAfford) {
-                    const result = this.economy.buildStructure(selectedTile, struct.type);
+                    const result = this.context.execute({ type: 'build', structure: struct.type, x: selectedTile.x, y: selectedTile.y });
                     if (result.success) {
                         this.render();
                     } else {
-                        this.gameState.addMessage(result.reason, 'error');
+                        this.context.gameState.addMessage(result.reason, 'error', selectedTile);
                     }
                 }
             };
@@ -273,6 +898,117 @@ class ActionsPanel {
             panel.appendChild(button);
         });
 
+        // Road tool: while it is on, dragging across the map lays road
+        const road = StructureRegistry.get('road');
+        const roadBtn = document.createElement('button');
+        roadBtn.className = 'action-button';
+        roadBtn.style.marginTop = '15px';
+        roadBtn.title = road.description;
+        if (this.ui.roadTool) {
+            roadBtn.style.background = '#4a9eff';
+            roadBtn.style.color = '#000';
+        }
+        roadBtn.innerHTML = `${road.icon} ${this.ui.roadTool ? 'Stop Drawing Roads' : 'Draw Roads'}
+            <div class="cost-info">${this.formatCost(road.cost)} per tile${this.ui.roadTool ? ' · drag across the map, Esc to stop' : ''}</div>
+        `;
+        roadBtn.onclick = () => {
+            this.ui.roadTool = !this.ui.roadTool;
+            this.render();
+        };
+        panel.appendChild(roadBtn);
+
+        // Plant trees on open land
+        if (!selectedTile.structure && !selectedTile.isForest) {
+            const cost = this.context.economy.plantingCost;
+            const canPlant = !this.context.economy.getMissingResource(cost) && Forests.canGrow(this.context.world, selectedTile);
+
+            const plantBtn = document.createElement('button');
+            plantBtn.className = 'action-button';
+            plantBtn.style.marginTop = '15px';
+            plantBtn.title = 'Planted trees grow into forest over time and spread to open land nearby.';
+            if (!canPlant) {
+                plantBtn.classList.add('disabled');
+            }
+            plantBtn.innerHTML = `🌱 Plant Trees
+                <div class="cost-info">${this.formatCost(cost)}</div>
+            `;
+            plantBtn.onclick = () => {
+                if (canPlant) {
+                    const result = this.context.execute({ type: 'plant', x: selectedTile.x, y: selectedTile.y });
+                    if (!result.success) {
+                        this.context.gameState.addMessage(result.reason, 'error', selectedTile);
+                    }
+                    this.render();
+                }
+            };
+            panel.appendChild(plantBtn);
+        }
+
+        // Terraforming: only the actions that make sense for this kind of tile are shown
+        if (!selectedTile.structure) {
+            const isWater = selectedTile.altitude < 0 || selectedTile.isRiver;
+            const actions = isWater ? ['fill'] : selectedTile.isForest ? ['clear'] : ['raise', 'lower', 'flatten'];
+            actions.forEach((action, i) => {
+                const definition = Terraform.ACTIONS[action];
+                const plan = Terraform.plan(this.context.world, selectedTile, action);
+                const canTerraform = plan.success && !this.context.economy.getMissingResource(plan.cost);
+
+                const button = document.createElement('button');
+                button.className = 'action-button';
+                if (i === 0) button.style.marginTop = '15px';
+                button.title = definition.description;
+                if (!canTerraform) {
+                    button.classList.add('disabled');
+                }
+                const wood = plan.success && plan.gain.wood ? ` → 🪵${plan.gain.wood}` : '';
+                button.innerHTML = `${definition.icon} ${definition.name}
+                    <div class="cost-info">${plan.success ? this.formatCost(plan.cost) + wood : plan.reason}</div>
+                `;
+                button.onclick = () => {
+                    if (canTerraform) {
+                        const result = this.context.execute({ type: 'terraform', action, x: selectedTile.x, y: selectedTile.y });
+                        if (result.success) {
+                            this.ui.invalidateTile(selectedTile.x, selectedTile.y);
+                        } else {
+                            this.context.gameState.addMessage(result.reason, 'error', selectedTile);
+                        }
+                        this.render();
+                    }
+                };
+                panel.appendChild(button);
+            });
+        }
+
+        // Upgrade button
+        if (structure && structure.level < this.context.economy.getMaxLevel(structure.type)) {
+            const nextLevel = structure.level + 1;
+            const cost = this.context.economy.getUpgradeCost(structure.type, nextLevel);
+            const lockedReason = this.context.economy.getLockedReason(structure, nextLevel);
+            const canUpgrade = !lockedReason && !this.context.economy.getMissingResource(cost);
+
+            const upgradeBtn = document.createElement('button');
+            upgradeBtn.className = 'action-button';
+            upgradeBtn.style.marginTop = '15px';
+            if (!canUpgrade) {
+                upgradeBtn.classList.add('disabled');
+            }
+            upgradeBtn.innerHTML = `Upgrade to Level ${nextLevel}
+                <div class="cost-info">${this.formatCost(cost)}</div>
+                ${lockedReason ? `<div class="cost-info" style="color: #ff9900;">🔒 ${lockedReason}</div>` : ''}
+            `;
+            upgradeBtn.onclick = () => {
+                if (canUpgrade) {
+                    const result = this.context.execute({ type: 'upgrade', x: selectedTile.x, y: selectedTile.y });
+                    if (result.success) {
+                        this.render();
+                    } else {
+                        this.context.gameState.addMessage(result.reason, 'error', selectedTile);
+                    }
+                }
+            };
+            panel.appendChild(upgradeBtn);
+        }
+
         // Demolish button
         if (selectedTile.structure) {
             const demolishBtn = document.createElement('button');
@@ -280,12 +1016,431 @@ class ActionsPanel {
             demolishBtn.style.marginTop = '15px';
             demolishBtn.style.borderColor = '#ff6666';
             demolishBtn.style.color = '#ff6666';
-            demolishBtn.textContent = 'Demolish';
+            const refund = this.context.economy.getDemolishRefund(structure, this.demolishRefund);
+            demolishBtn.innerHTML = `Demolish
+                <div class="cost-info">Refund: ${this.formatCost(refund)}</div>
+            `;
             demolishBtn.onclick = () => {
-                this.economy.destroyStructure(selectedTile.x, selectedTile.y);
+                this.context.execute({ type: 'demolish', x: selectedTile.x, y: selectedTile.y, refund: this.demolishRefund });
                 this.render();
             };
             panel.appendChild(demolishBtn);
         }
     }
+
+    formatCost(cost) {
+        const parts = [`$${cost.money || 0}`, `🪵${cost.wood || 0}`, `🍎${cost.food || 0}`];
+        if (cost.stone) parts.push(`🪨${cost.stone}`);
+        if (cost.iron) parts.push(`⛓${cost.iron}`);
+        if (cost.uranium) parts.push(`☢${cost.uranium}`);
+        return parts.join(' | ');
+    }
+}
+
+// Budget breakdown, loans and stockpile charts from the ledger history
+export class FinancesPanel {
+    constructor(canvas, context) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.context = context;
+        this.period = 60; // ticks summed for the breakdown
+        this.renderedKey = null;
+    }
+
+    getRenderKey() {
+        const gameState = this.context.gameState;
+        const history = this.context.economy.ledger.history;
+        const last = history[history.length - 1];
+        return JSON.stringify([
+            history.length,
+            last ? last.time : null,
+            gameState.loans.map(loan => [loan.id, Math.floor(loan.balance)]),
+            Math.floor(gameState.money),
+            Math.round(Ledger.getNet(this.context.economy.ledger.lastTick) * 10),
+            this.context.readOnly
+        ]);
+    }
+
+    render() {
+        const key = this.getRenderKey();
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        const panel = document.getElementById('financesPanel');
+        panel.innerHTML = '';
+        this.renderBudget(panel);
+        this.renderLoans(panel);
+        this.renderCharts();
+    }
+
+    renderBudget(panel) {
+        const totals = this.context.economy.ledger.getTotals(this.period);
+        panel.innerHTML += '<div class="slider-label"><span>Last minute</span></div>';
+
+        let net = 0;
+        for (let kind of ['income', 'expense']) {
+            for (let category of Object.keys(totals[kind])) {
+                const amount = totals[kind][category];
+                if (Math.abs(amount) < 0.5) continue;
+                net += kind === 'income' ? amount : -amount;
+                const sign = kind === 'income' ? '+' : '-';
+                this.addRow(panel, Ledger.CATEGORIES[category] || category, `${sign}$${Math.round(amount)}`, kind === 'income' ? '#66ff66' : '#ff6666');
+            }
+        }
+        this.addRow(panel, 'Net', `${net >= 0 ? '+' : '-'}$${Math.abs(Math.round(net))}`, net >= 0 ? '#66ff66' : '#ff6666');
+
+        // The tick just run, before it is folded into the next history sample
+        const perSecond = Ledger.getNet(this.context.economy.ledger.lastTick);
+        this.addRow(panel, 'Last second', `${perSecond >= 0 ? '+' : '-'}$${Math.abs(perSecond).toFixed(1)}`, perSecond >= 0 ? '#66ff66' : '#ff6666');
+    }
+
+    renderLoans(panel) {
+        const economy = this.context.economy;
+        const gameState = this.context.gameState;
+
+        panel.innerHTML += '<div class="slider-label" style="margin-top: 10px;"><span>Loans</span></div>';
+        gameState.loans.forEach(loan => {
+            const row = document.createElement('div');
+            row.className = 'stat-row';
+            row.innerHTML = `<span class="stat-label">$${loan.principal} loan</span><span class="stat-value">$${Math.ceil(loan.balance)} left</span>`;
+            const repay = document.createElement('button');
+            repay.className = 'filter-button';
+            repay.textContent = 'Repay';
+            repay.disabled = this.context.readOnly || gameState.money < loan.balance;
+            repay.onclick = () => this.execute({ type: 'repay', id: loan.id });
+            row.appendChild(repay);
+            panel.appendChild(row);
+        });
+
+        const options = document.createElement('div');
+        options.className = 'filter-buttons';
+        economy.loanOptions.forEach(amount => {
+            const button = document.createElement('button');
+            button.className = 'filter-button';
+            button.textContent = `Borrow $${amount}`;
+            button.title = `${(economy.loanInterestRate * 100).toFixed(2)}% interest per tick, repaid over ${Math.round(economy.loanTerm / 60)} minutes`;
+            button.disabled = this.context.readOnly || gameState.loans.length >= economy.maxLoans;
+            button.onclick = () => this.execute({ type: 'loan', amount });
+            options.appendChild(button);
+        });
+        panel.appendChild(options);
+    }
+
+    execute(command) {
+        const result = this.context.execute(command);
+        if (!result.success) {
+            this.context.gameState.addMessage(result.reason, 'error');
+        }
+        this.render();
+    }
+
+    // One small line chart per stockpile, each on its own scale
+    renderCharts() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const history = this.context.economy.ledger.history;
+        const series = [['money', '#4a9eff', '$'], ['food', '#FFD93D', '🍎'], ['wood', '#D4A574', '🪵']];
+        const bandHeight = height / series.length;
+
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, width, height);
+
+        series.forEach(([field, color, label], index) => {
+            const top = index * bandHeight;
+            ctx.strokeStyle = '#222';
+            ctx.strokeRect(0.5, top + 0.5, width - 1, bandHeight - 1);
+            if (history.length < 2) return;
+
+            const values = history.map(sample => sample[field]);
+            const min = Math.min(0, ...values);
+            const max = Math.max(...values);
+            const range = max - min || 1;
+            const y = value => top + bandHeight - 4 - ((value - min) / range) * (bandHeight - 16);
+
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            values.forEach((value, i) => {
+                const x = (i / (values.length - 1)) * (width - 2) + 1;
+                if (i === 0) {
+                    ctx.moveTo(x, y(value));
+                } else {
+                    ctx.lineTo(x, y(value));
+                }
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.font = '10px Arial';
+            ctx.fillText(`${label} ${Math.floor(values[values.length - 1])} (max ${Math.floor(max)})`, 4, top + 11);
+        });
+    }
+
+    addRow(panel, label, value, color) {
+        const row = document.createElement('div');
+        row.className = 'stat-row';
+        row.innerHTML = `
+            <span class="stat-label">${label}</span>
+            <span class="stat-value" style="color: ${color}">${value}</span>
+        `;
+        panel.appendChild(row);
+    }
+}
+
+// Event feed UI
+export class MessageLogPanel {
+    constructor(context, ui, formatTime) {
+        this.context = context;
+        this.ui = ui;
+        this.formatTime = formatTime;
+        this.filter = 'all';
+        this.renderedCount = -1;
+        this.renderedLast = null;
+        this.renderedFilter = null;
+    }
+
+    getTypeStyle(type) {
+        const styles = {
+            info: { color: '#4a9eff', icon: 'ℹ' },
+            success: { color: '#66ff66', icon: '✔' },
+            warning: { color: '#ffcc00', icon: '⚠' },
+            error: { color: '#ff6666', icon: '✖' }
+        };
+        return styles[type] || styles.info;
+    }
+
+    render() {
+        const messages = this.context.gameState.messages;
+        const last = messages[messages.length - 1] || null;
+
+        // Only rebuild when the log or filter changed so scrolling and clicks survive
+        if (messages.length === this.renderedCount && last === this.renderedLast && this.filter === this.renderedFilter) {
+            return;
+        }
+        this.renderedCount = messages.length;
+        this.renderedLast = last;
+        this.renderedFilter = this.filter;
+
+        this.renderFilters();
+
+        const log = document.getElementById('messageLog');
+        log.innerHTML = '';
+
+        const visible = messages.filter(message => this.filter === 'all' || message.type === this.filter);
+        if (visible.length === 0) {
+            log.innerHTML = '<div class="message-item" style="color: #666;">No events yet</div>';
+            return;
+        }
+
+        // Newest first
+        for (let i = visible.length - 1; i >= 0; i--) {
+            const message = visible[i];
+            const style = this.getTypeStyle(message.type);
+            const hasLocation = message.x !== undefined && message.y !== undefined;
+
+            const item = document.createElement('div');
+            item.className = hasLocation ? 'message-item has-location' : 'message-item';
+            item.style.color = style.color;
+            item.innerHTML = `<span class="message-time">${this.formatTime(message.time)}</span>${style.icon} `;
+            item.appendChild(document.createTextNode(message.text));
+
+            if (hasLocation) {
+                item.title = `Go to (${message.x}, ${message.y})`;
+                item.onclick = () => this.ui.focusTile(message.x, message.y);
+            }
+            log.appendChild(item);
+        }
+    }
+
+    renderFilters() {
+        const filters = document.getElementById('messageFilters');
+        filters.innerHTML = '';
+
+        ['all', 'info', 'success', 'warning', 'error'].forEach(type => {
+            const button = document.createElement('button');
+            button.className = type === this.filter ? 'filter-button active' : 'filter-button';
+            button.textContent = type === 'all' ? 'All' : `${this.getTypeStyle(type).icon} ${type}`;
+            button.onclick = () => {
+                this.filter = type;
+                this.render();
+            };
+            filters.appendChild(button);
+        });
+    }
+}
+
+// Overview map of a large area around the camera
+export class MinimapPanel {
+    constructor(canvas, context, ui) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.context = context;
+        this.ui = ui;
+
+        this.size = canvas.width; // tiles across, one pixel each
+        this.recenterDistance = Math.floor(this.size / 4);
+        this.maxAge = 3000; // ms before terrain is redrawn to pick up forest and resource changes
+        this.mode = 'terrain';
+        this.centerX = null;
+        this.centerY = null;
+        this.image = null;
+        this.renderedAt = 0;
+        this.terrainVersion = 0; // GameUI.terrainVersion the image was drawn at
+
+        this.canvas.addEventListener('click', (e) => this.onClick(e));
+        this.renderModes();
+    }
+
+    invalidate() {
+        this.image = null;
+        this.centerX = null;
+        this.centerY = null;
+    }
+
+    renderModes() {
+        const modes = document.getElementById('minimapModes');
+        modes.innerHTML = '';
+
+        [['terrain', 'Terrain'], ['forest', 'Forest'], ['iron', 'Iron'], ['uranium', 'Uranium']].forEach(([mode, label]) => {
+            const button = document.createElement('button');
+            button.className = mode === this.mode ? 'filter-button active' : 'filter-button';
+            button.textContent = label;
+            button.onclick = () => {
+                this.mode = mode;
+                this.image = null;
+                this.renderModes();
+            };
+            modes.appendChild(button);
+        });
+    }
+
+    // Top-left world tile shown by the minimap
+    getOrigin() {
+        const half = Math.floor(this.size / 2);
+        return { x: this.centerX - half, y: this.centerY - half };
+    }
+
+    render() {
+        // Only re-centre once the camera wanders off, so panning stays cheap
+        const moved = this.centerX === null ||
+            Math.abs(this.ui.cameraX - this.centerX) > this.recenterDistance ||
+            Math.abs(this.ui.cameraY - this.centerY) > this.recenterDistance;
+        if (moved) {
+            this.centerX = this.ui.cameraX;
+            this.centerY = this.ui.cameraY;
+        }
+        if (moved || !this.image || Date.now() - this.renderedAt > this.maxAge || this.terrainVersion !== this.ui.terrainVersion) {
+            this.image = this.renderImage();
+            this.renderedAt = Date.now();
+            this.terrainVersion = this.ui.terrainVersion;
+        }
+
+        this.ctx.putImageData(this.image, 0, 0);
+
+        // Mark the current viewport
+        const origin = this.getOrigin();
+        const range = this.ui.getVisibleRange();
+        this.ctx.strokeStyle = '#ff9900';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(
+            range.minX - origin.x + 0.5,
+            range.minY - origin.y + 0.5,
+            range.maxX - range.minX,
+            range.maxY - range.minY
+        );
+    }
+
+    renderImage() {
+        const image = this.ctx.createImageData(this.size, this.size);
+        const origin = this.getOrigin();
+
+        for (let dy = 0; dy < this.size; dy++) {
+            for (let dx = 0; dx < this.size; dx++) {
+                const tile = this.context.world.peekTile(origin.x + dx, origin.y + dy);
+                const color = this.getTileColor(tile);
+                const offset = (dy * this.size + dx) * 4;
+                image.data[offset] = color[0];
+                image.data[offset + 1] = color[1];
+                image.data[offset + 2] = color[2];
+                image.data[offset + 3] = 255;
+            }
+        }
+
+        // Structures
+        for (let structure of this.context.economy.getAllStructures()) {
+            const dx = structure.x - origin.x;
+            const dy = structure.y - origin.y;
+            if (dx < 0 || dy < 0 || dx >= this.size || dy >= this.size) continue;
+            const definition = StructureRegistry.get(structure.type);
+            const color = GameUI.parseColor(definition ? definition.color : '#999999');
+            const offset = (dy * this.size + dx) * 4;
+            image.data[offset] = color[0];
+            image.data[offset + 1] = color[1];
+            image.data[offset + 2] = color[2];
+        }
+
+        return image;
+    }
+
+    getTileColor(tile) {
+        const base = GameUI.parseColor(GameUI.getTerrainColor(tile));
+        if (this.mode === 'terrain') {
+            return base;
+        }
+
+        // Density overlays dim the terrain and tint by how rich the deposit or forest is
+        const overlays = {
+            forest: { max: 100, color: [40, 220, 60] },
+            iron: { max: 80, color: [255, 120, 40] },
+            uranium: { max: 10, color: [120, 255, 60] }
+        };
+        const overlay = overlays[this.mode];
+        const amount = this.mode === 'forest' ? (tile.isForest ? tile.forestHealth : 0) : tile.resources[this.mode];
+        const density = Math.min(1, amount / overlay.max);
+        return base.map((channel, i) => Math.round(channel * 0.3 * (1 - density) + overlay.color[i] * density));
+    }
+
+    onClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const origin = this.getOrigin();
+        this.ui.cameraX = origin.x + Math.floor((e.clientX - rect.left) * this.size / rect.width);
+        this.ui.cameraY = origin.y + Math.floor((e.clientY - rect.top) * this.size / rect.height);
+    }
+}
+
+// Terrain of a world that has not been played yet, for the new-game screen.
+// One pixel per tile, centred on where the camera starts.
+export class WorldPreview {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.size = canvas.width;
+    }
+
+    render(world) {
+        const size = this.size;
+        const half = Math.floor(size / 2);
+        const imageData = this.ctx.createImageData(size, size);
+
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                // Generate without keeping chunks around; the world is thrown away after
+                const tile = world.generateTile(dx - half, dy - half);
+                const color = GameUI.parseColor(GameUI.getTerrainColor(tile));
+                const offset = (dy * size + dx) * 4;
+                imageData.data[offset] = color[0];
+                imageData.data[offset + 1] = color[1];
+                imageData.data[offset + 2] = color[2];
+                imageData.data[offset + 3] = 255;
+            }
+        }
+        this.ctx.putImageData(imageData, 0, 0);
+
+        // Mark the starting position
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(half - 3.5, half - 3.5, 7, 7);
+    }
+
 }
@@ -1,5 +1,8 @@
+import { StructureRegistry } from './structures.js';
+import { TerrainGenerator } from './terrain.js';
+
 // Seeded random number generator (Mulberry32)
-class SeededRandom {
+export class SeededRandom {
     constructor(seed) {
         this.seed = seed;
     }
@@ -18,7 +21,7 @@ class SeededRandom {
 }
 
 // Perlin-like noise generator
-class PerlinNoise {
+export class PerlinNoise {
     constructor(seed) {
         this.rng = new SeededRandom(seed);
         this.permutation = this.generatePermutation();
@@ -70,7 +73,7 @@ class PerlinNoise {
 }
 
 // World tile data structure
-class Tile {
+export class Tile {
     constructor(x, y) {
         this.x = x;
         this.y = y;
@@ -83,6 +86,8 @@ class Tile {
         this.structure = null; // { type, data }
         this.isForest = false;
         this.forestHealth = 0; // 0-100, regenerates after cutting
+        this.biome = null; // key of TerrainGenerator.BIOMES; null in generator 1 worlds
+        this.isRiver = false;
     }
 
     toJSON() {
@@ -93,7 +98,9 @@ class Tile {
             resources: { ...this.resources },
             structure: this.structure,
             isForest: this.isForest,
-            forestHealth: this.forestHealth
+            forestHealth: this.forestHealth,
+            biome: this.biome,
+            isRiver: this.isRiver
         };
     }
 
@@ -104,36 +111,83 @@ class Tile {
         tile.structure = data.structure;
         tile.isForest = data.isForest;
         tile.forestHealth = data.forestHealth;
+        tile.biome = data.biome === undefined ? null : data.biome;
+        tile.isRiver = !!data.isRiver;
         return tile;
     }
+
+    // Apply saved changes (a partial tile) on top of the generated tile
+    applyChanges(changes) {
+        if (changes.altitude !== undefined) this.altitude = changes.altitude;
+        if (changes.resources) Object.assign(this.resources, changes.resources);
+        if (changes.isForest !== undefined) this.isForest = changes.isForest;
+        if (changes.forestHealth !== undefined) this.forestHealth = changes.forestHealth;
+        if (changes.isRiver !== undefined) this.isRiver = changes.isRiver;
+        if (changes.biome !== undefined) this.biome = changes.biome;
+    }
 }
 
 // World generation and management
-class World {
-    constructor(seed) {
+export class World {
+    constructor(seed, options = {}) {
         this.seed = seed;
-        this.tiles = new Map();
+        this.options = { ...World.DEFAULT_OPTIONS, ...options }; // see World.DEFAULT_OPTIONS
         this.perlin = new PerlinNoise(seed);
+        this.terrain = this.options.generator >= 2 ? new TerrainGenerator(seed, this.options) : null;
         this.rng = new SeededRandom(seed);
         this.chunkSize = 16;
-        this.generatedChunks = new Set();
+        this.chunks = new Map(); // key: "cx,cy", value: chunkSize * chunkSize tiles, row by row
     }
 
     getTile(x, y) {
-        const key = `${x},${y}`;
-        if (!this.tiles.has(key)) {
-            this.generateTile(x, y);
+        const chunk = this.getChunk(Math.floor(x / this.chunkSize), Math.floor(y / this.chunkSize));
+        return chunk[this.getLocalIndex(x, y)];
+    }
+
+    // Look at a tile without generating its chunk; used by far zoom levels that cover thousands of tiles
+    peekTile(x, y) {
+        const chunk = this.chunks.get(`${Math.floor(x / this.chunkSize)},${Math.floor(y / this.chunkSize)}`);
+        return chunk ? chunk[this.getLocalIndex(x, y)] : this.generateTile(x, y);
+    }
+
+    getLocalIndex(x, y) {
+        const size = this.chunkSize;
+        const localX = ((x % size) + size) % size;
+        const localY = ((y % size) + size) % size;
+        return localY * size + localX;
+    }
+
+    getChunk(chunkX, chunkY) {
+        const key = `${chunkX},${chunkY}`;
+        if (!this.chunks.has(key)) {
+            this.chunks.set(key, this.generateChunk(chunkX, chunkY));
         }
-        return this.tiles.get(key);
+        return this.chunks.get(key);
     }
 
+    generateChunk(chunkX, chunkY) {
+        const tiles = [];
+        for (let localY = 0; localY < this.chunkSize; localY++) {
+            for (let localX = 0; localX < this.chunkSize; localX++) {
+                tiles.push(this.generateTile(chunkX * this.chunkSize + localX, chunkY * this.chunkSize + localY));
+            }
+        }
+        return tiles;
+    }
+
+    // Pure function of the seed and position; the same tile comes back every time
     generateTile(x, y) {
         const tile = new Tile(x, y);
-        const key = `${x},${y}`;
+        if (this.terrain) {
+            this.terrain.generate(tile);
+            return tile;
+        }
+
+        // Generator 1: a single octave of noise, kept so older worlds stay as they were
 
-        // Generate altitude using Perlin noise
-        const noiseScale = 0.1;
-        const altitude = this.perlin.noise(x * noiseScale, y * noiseScale) * 30 - 10;
+        // Generate altitude using Perlin noise; a higher sea level drowns more of it
+        const noiseScale = this.options.roughness;
+        const altitude = this.perlin.noise(x * noiseScale, y * noiseScale) * 30 - this.options.seaLevel;
         tile.altitude = Math.round(altitude);
 
         // Generate resources based on altitude
@@ -142,28 +196,28 @@ class World {
         // Generate forests in patches
         this.generateForest(tile);
 
-        this.tiles.set(key, tile);
         return tile;
     }
 
     generateResources(tile) {
         const rng = new SeededRandom(this.seed + tile.x * 73856093 ^ tile.y * 19349663);
+        const richness = this.options.oreRichness;
 
         // Stone is everywhere
-        tile.resources.stone = rng.nextInt(50, 150);
+        tile.resources.stone = Math.round(rng.nextInt(50, 150) * richness);
 
         // Iron appears at certain altitudes
         if (Math.abs(tile.altitude) < 5) {
-            tile.resources.iron = rng.nextInt(20, 80);
+            tile.resources.iron = Math.round(rng.nextInt(20, 80) * richness);
         } else if (Math.abs(tile.altitude) < 10) {
-            tile.resources.iron = rng.nextInt(5, 30);
+            tile.resources.iron = Math.round(rng.nextInt(5, 30) * richness);
         }
 
         // Uranium is rare
         if (Math.abs(tile.altitude) < 3) {
-            tile.resources.uranium = rng.nextInt(1, 10);
+            tile.resources.uranium = Math.round(rng.nextInt(1, 10) * richness);
         } else if (Math.abs(tile.altitude) < 8) {
-            tile.resources.uranium = rng.nextInt(0, 5);
+            tile.resources.uranium = Math.round(rng.nextInt(0, 5) * richness);
         }
     }
 
@@ -173,7 +227,7 @@ class World {
         // Forests spawn in patches on land (altitude > -3)
         if (tile.altitude > -3) {
             const forestNoise = this.perlin.noise(tile.x * 0.05, tile.y * 0.05);
-            if (forestNoise > 0.3 && rng.next() > 0.6) {
+            if (forestNoise > 0.3 && rng.next() > 1 - this.options.forestDensity) {
                 tile.isForest = true;
                 tile.forestHealth = rng.nextInt(70, 100);
             }
@@ -203,6 +257,9 @@ class World {
         if (tile.altitude < 0) {
             return { canBuild: false, reason: 'Cannot build on water' };
         }
+        if (tile.isRiver) {
+            return { canBuild: false, reason: 'Cannot build on a river' };
+        }
 
         // Can't build on forest
         if (tile.isForest) {
@@ -228,29 +285,79 @@ class World {
     }
 
     getMaxAltitudeDiff(structureType) {
-        const limits = {
-            house: 1,
-            farm: 1,
-            mine: 3,
-            lumber: 2
-        };
-        return limits[structureType] || 1;
+        const definition = StructureRegistry.get(structureType);
+        return definition ? definition.maxAltitudeDiff : 1;
+    }
+
+    // Fields of a tile that differ from its freshly generated state, or null if none do
+    getTileChanges(tile) {
+        const original = this.generateTile(tile.x, tile.y);
+        const changes = {};
+
+        if (tile.altitude !== original.altitude) {
+            changes.altitude = tile.altitude;
+        }
+        for (let resource of Object.keys(tile.resources)) {
+            if (tile.resources[resource] !== original.resources[resource]) {
+                changes.resources = changes.resources || {};
+                changes.resources[resource] = tile.resources[resource];
+            }
+        }
+        if (tile.isForest !== original.isForest) {
+            changes.isForest = tile.isForest;
+        }
+        if (tile.forestHealth !== original.forestHealth) {
+            changes.forestHealth = tile.forestHealth;
+        }
+        if (tile.isRiver !== original.isRiver) {
+            changes.isRiver = tile.isRiver;
+        }
+        if (tile.biome !== original.biome) {
+            changes.biome = tile.biome;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return null;
+        }
+        changes.x = tile.x;
+        changes.y = tile.y;
+        return changes;
     }
 
+    // Only changed tiles are saved; everything else regenerates from the seed.
+    // Structures are saved by Economy and linked back onto their tiles on load.
     toJSON() {
-        const tilesArray = Array.from(this.tiles.values()).map(tile => tile.toJSON());
+        const tiles = [];
+        for (let chunk of this.chunks.values()) {
+            for (let tile of chunk) {
+                const changes = this.getTileChanges(tile);
+                if (changes) {
+                    tiles.push(changes);
+                }
+            }
+        }
         return {
             seed: this.seed,
-            tiles: tilesArray
+            options: { ...this.options },
+            tiles
         };
     }
 
     static fromJSON(data) {
-        const world = new World(data.seed);
-        data.tiles.forEach(tileData => {
-            const tile = Tile.fromJSON(tileData);
-            world.tiles.set(`${tile.x},${tile.y}`, tile);
+        const world = new World(data.seed, data.options);
+        data.tiles.forEach(changes => {
+            world.getTile(changes.x, changes.y).applyChanges(changes);
         });
         return world;
     }
 }
+
+// Generation settings picked on the new-game screen. Generator 1 worlds used
+// these defaults as fixed values before there were options.
+World.DEFAULT_OPTIONS = {
+    generator: 2, // 1: single-octave noise, 2: see TerrainGenerator
+    seaLevel: 10, // subtracted from raw altitude; higher means more water
+    roughness: 0.1, // noise scale; higher means smaller, more frequent hills
+    forestDensity: 0.4, // chance a tile in a forest patch is wooded
+    oreRichness: 1 // multiplier on stone, iron and uranium deposits
+};
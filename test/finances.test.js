@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World } from '../js/world.js';
+import { Ledger } from '../js/finances.js';
+import { buildActions } from './helpers.js';
+
+const SEED = 42;
+
+test('employed residents pay income tax on their wages', () => {
+    // A house with a lumber camp in commuting distance
+    const { context } = runSimulation({ seed: SEED, ticks: 0, actions: buildActions(new World(SEED), ['house', 'lumber']) });
+    context.gameState.population = 3;
+    context.economy.assignWorkers();
+    const { money, employed } = context.gameState;
+    assert.equal(employed, 3);
+
+    context.tick();
+    const ledger = context.economy.ledger;
+    const wageTax = employed * context.economy.wage * context.gameState.policies.residentialTax;
+    const upkeep = context.economy.getAllStructures().reduce((sum, structure) => sum + context.economy.getStructureUpkeep(structure.type), 0);
+    assert.ok(Math.abs(context.gameState.money - (money + wageTax - upkeep)) < 1e-9);
+    assert.ok(ledger.pending.income.incomeTax > 0);
+    assert.ok(ledger.pending.expense.upkeep > 0);
+    assert.ok(Math.abs(ledger.lastTick.income.incomeTax - wageTax) < 1e-9);
+    assert.ok(Math.abs(Ledger.getNet(ledger.lastTick) - (wageTax - upkeep)) < 1e-9);
+});
+
+test('upkeep grows with level and can push the treasury into debt', () => {
+    const context = new GameContext(SEED);
+    assert.equal(context.economy.getStructureUpkeep('mine', 3), 3 * context.economy.getStructureUpkeep('mine'));
+
+    const [house] = buildActions(context.world, ['house']);
+    context.execute(house);
+    context.gameState.money = 0;
+    context.tick();
+    assert.ok(context.gameState.money < 0);
+});
+
+test('loans pay out, charge interest and are repaid over their term', () => {
+    const context = new GameContext(SEED);
+    const economy = context.economy;
+    assert.ok(context.execute({ type: 'loan', amount: 1000 }).success);
+    assert.equal(context.gameState.money, 1500);
+
+    context.tick();
+    const loan = context.gameState.loans[0];
+    assert.ok(Math.abs(loan.balance - (1000 - 1000 / economy.loanTerm)) < 1e-9);
+    assert.ok(Math.abs(economy.ledger.pending.expense.loanInterest - 1000 * economy.loanInterestRate) < 1e-9);
+
+    for (let i = 1; i < economy.loanTerm; i++) context.tick();
+    assert.equal(context.gameState.loans.length, 0);
+    assert.ok(context.gameState.messages.some(m => m.text === 'The $1000 loan is paid off'));
+});
+
+test('loans are limited and can be paid off early or undone', () => {
+    const context = new GameContext(SEED);
+    assert.equal(context.execute({ type: 'loan', amount: 123 }).success, false);
+    for (let i = 0; i < context.economy.maxLoans; i++) {
+        assert.ok(context.execute({ type: 'loan', amount: 500 }).success);
+    }
+    assert.match(context.execute({ type: 'loan', amount: 500 }).reason, /At most/);
+
+    assert.ok(context.undo().success);
+    assert.equal(context.gameState.loans.length, context.economy.maxLoans - 1);
+
+    const id = context.gameState.loans[0].id;
+    assert.ok(context.execute({ type: 'repay', id }).success);
+    assert.equal(context.gameState.loans.length, context.economy.maxLoans - 2);
+});
+
+test('history samples stockpiles and cash flow', () => {
+    const actions = buildActions(new World(SEED), ['house', 'farm', 'lumber']);
+    const { context } = runSimulation({ seed: SEED, ticks: 100, actions });
+    const ledger = context.economy.ledger;
+
+    assert.equal(ledger.history.length, 100 / ledger.sampleInterval);
+    const last = ledger.history[ledger.history.length - 1];
+    assert.equal(last.time, 100);
+    assert.equal(last.money, context.gameState.money);
+    assert.ok(ledger.getTotals(60).expense.upkeep > 0);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World } from '../js/world.js';
+import { Forests } from '../js/forests.js';
+import { buildActions, runTown } from './helpers.js';
+
+const SEED = 42;
+
+// A lumber camp with a house whose residents work it; they have all moved in after five ticks
+function withLumber(ticks = 5) {
+    return runTown(['house', 'lumber'], { seed: SEED, ticks }).context;
+}
+
+function forestsInReach(context) {
+    const lumber = context.economy.getAllStructures().find(structure => structure.type === 'lumber');
+    return Forests.getHarvestable(context.economy, lumber).map(entry => entry.tile);
+}
+
+test('logged forest regrows, twice as fast under protection', () => {
+    const [normal, protectedForests] = [false, true].map(protection => {
+        // A house keeps the land around it simulated, with nobody logging it
+        const { context } = runSimulation({ seed: SEED, ticks: 0, actions: buildActions(new World(SEED), ['house']) });
+        context.execute({ type: 'policy', name: 'forestProtection', value: protection });
+        const tile = Forests.getActiveTiles(context.economy).find(t => t.isForest);
+        tile.forestHealth = 20;
+        for (let i = 0; i < 100; i++) context.tick();
+        return tile.forestHealth;
+    });
+    assert.ok(Math.abs(normal - (20 + Forests.regrowthPerTick * 100)) < 1e-9);
+    assert.ok(Math.abs(protectedForests - (20 + Forests.regrowthPerTick * 200)) < 1e-9);
+});
+
+test('forests spread onto open land near town, the same way every time', () => {
+    const spread = () => {
+        const context = withLumber(2000);
+        return Forests.getActiveTiles(context.economy)
+            .filter(tile => tile.isForest && !context.world.generateTile(tile.x, tile.y).isForest)
+            .map(tile => `${tile.x},${tile.y}`);
+    };
+    const first = spread();
+    assert.ok(first.length > 0);
+    assert.deepEqual(spread(), first);
+});
+
+test('lumber camps log the nearest forest first', () => {
+    const context = withLumber();
+    const tiles = forestsInReach(context);
+    const nearest = tiles[0];
+    const farthest = tiles[tiles.length - 1];
+    const before = { nearest: nearest.forestHealth, farthest: farthest.forestHealth };
+
+    for (let i = 0; i < 5; i++) context.tick();
+    assert.ok(nearest.forestHealth < before.nearest);
+    assert.ok(farthest.forestHealth >= before.farthest); // untouched, though it may have regrown
+});
+
+test('healthier forest yields more wood', () => {
+    const healthy = withLumber();
+    const thinned = withLumber();
+    forestsInReach(healthy).forEach(tile => { tile.forestHealth = 100; });
+    forestsInReach(thinned).forEach(tile => { tile.forestHealth = 20; });
+    const before = healthy.gameState.wood;
+
+    healthy.tick();
+    thinned.tick();
+    assert.ok(healthy.gameState.wood - before > (thinned.gameState.wood - before) * 2);
+});
+
+test('trees can be planted on open land and the planting undone', () => {
+    const context = new GameContext(SEED);
+    const [site] = buildActions(context.world, ['house']);
+    const money = context.gameState.money;
+
+    const result = context.execute({ type: 'plant', x: site.x, y: site.y });
+    assert.ok(result.success, result.reason);
+    const tile = context.world.getTile(site.x, site.y);
+    assert.equal(tile.isForest, true);
+    assert.equal(tile.forestHealth, Forests.plantedHealth);
+    assert.equal(context.gameState.money, money - context.economy.plantingCost.money);
+    assert.equal(context.execute({ type: 'plant', x: site.x, y: site.y }).reason, 'Trees already grow here');
+
+    assert.ok(context.undo().success);
+    assert.equal(tile.isForest, false);
+    assert.equal(context.gameState.money, money);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World } from '../js/world.js';
+import { buildActions } from './helpers.js';
+
+const SEED = 42;
+
+// A house, farm and lumber camp whose residents can all reach a job
+function happyTown() {
+    const { context } = runSimulation({ seed: SEED, ticks: 0, actions: buildActions(new World(SEED), ['house', 'farm', 'lumber']) });
+    context.economy.commuteRadius = 50;
+    context.gameState.food = 1000;
+    context.gameState.population = 5;
+    context.economy.assignWorkers();
+    context.tick();
+    return context;
+}
+
+test('a fed, employed town is happy and wants more residents', () => {
+    const context = happyTown();
+    const happiness = context.economy.getHappiness();
+    assert.ok(happiness.score > 50);
+    assert.ok(context.economy.getResidentialDemand(happiness) > 0);
+    assert.ok(happiness.factors.jobs > 0);
+});
+
+test('heavy residential tax makes people move away', () => {
+    const context = happyTown();
+    // Pin the factors that depend on where the sites landed: at three times the
+    // average commute the commute is worth nothing either way, and a house only
+    // looking at its own tile has no surroundings to like or dislike
+    context.economy.commuteRadius = 3 * context.economy.commuteTotal / context.gameState.employed;
+    context.economy.neighbourhoodRadius = 0;
+    context.execute({ type: 'policy', name: 'residentialTax', value: 1 });
+    const happiness = context.economy.getHappiness();
+    assert.equal(happiness.factors.taxes, -40);
+    assert.equal(happiness.factors.commute, 0);
+    assert.equal(happiness.factors.surroundings, 0);
+    assert.equal(context.economy.getResidentialDemand(happiness), -1);
+
+    for (let i = 0; i < context.economy.emigrationInterval; i++) context.tick();
+    assert.equal(context.gameState.population, 4);
+    assert.ok(context.gameState.messages.some(m => m.text === '1 unhappy people moved away'));
+});
+
+test('unemployment and tough policies lower happiness', () => {
+    const context = happyTown();
+    const before = context.economy.getHappiness();
+
+    context.gameState.population = 20; // more people than jobs
+    context.economy.assignWorkers();
+    assert.ok(context.economy.getHappiness().factors.jobs < before.factors.jobs);
+
+    context.execute({ type: 'policy', name: 'rationing', value: true });
+    context.execute({ type: 'policy', name: 'overtime', value: true });
+    assert.equal(context.economy.getHappiness().factors.policies, -15);
+});
+
+test('residents like forests and dislike mines next door', () => {
+    const context = new GameContext(SEED);
+    const house = buildActions(context.world, ['house'])[0];
+    context.execute(house);
+    const economy = context.economy;
+    const before = economy.getHappiness().factors.surroundings;
+
+    context.world.getTile(house.x + 1, house.y).isForest = true;
+    context.world.getTile(house.x + 2, house.y).isForest = true;
+    economy.placeStructure({ type: 'mine', x: house.x, y: house.y + 1, level: 1, data: economy.getDefaultStructureData('mine') });
+    assert.ok(economy.getHappiness().factors.surroundings < before);
+});
@@ -0,0 +1,101 @@
+import { runSimulation } from '../js/headless.js';
+import { World } from '../js/world.js';
+
+// Buildable sites near the origin, nearest first, so tests do not depend on
+// hand-picked coordinates that change whenever world generation does
+export function findSites(world, structureType, count) {
+    const sites = [];
+    for (let radius = 0; radius <= 64 && sites.length < count; radius++) {
+        for (let x = -radius; x <= radius; x++) {
+            for (let y = -radius; y <= radius; y++) {
+                if (Math.max(Math.abs(x), Math.abs(y)) !== radius) continue;
+                const tile = world.getTile(x, y);
+                if (!tile.structure && world.canBuildStructure(tile, structureType).canBuild) {
+                    sites.push({ x, y });
+                    if (sites.length === count) return sites;
+                }
+            }
+        }
+    }
+    throw new Error(`Only found ${sites.length} of ${count} sites for ${structureType}`);
+}
+
+// New-game settings with food in store, so the residents of a test town stay
+// fed and at work for a few hundred ticks
+export const TOWN_SETTINGS = { start: { food: 1000 } };
+
+// Build a town of the given structure types at tick 0 (see buildActions) and play
+// it for `ticks` ticks, with any other actions at their own ticks. Residents
+// settle and go to work as they would in a game; `start` adds to what is in store.
+export function runTown(types, { seed = 42, ticks = 0, start = {}, actions = [] } = {}) {
+    const built = buildActions(new World(seed), types);
+    const settings = { ...TOWN_SETTINGS, start: { ...TOWN_SETTINGS.start, ...start } };
+    return { ...runSimulation({ seed, settings, ticks, actions: [...built, ...actions] }), built };
+}
+
+// Build actions for the given types, all at tick 0, at the first free sites a
+// road can connect to the first one; then that road, so every structure works
+export function buildActions(world, types) {
+    for (let first of findSites(world, types[0], 20)) {
+        const actions = layOut(world, types, first);
+        if (actions) return actions;
+    }
+    throw new Error(`No sites for ${types.join(', ')} that a road can connect`);
+}
+
+function layOut(world, types, first) {
+    const key = site => `${site.x},${site.y}`;
+    const taken = new Set([key(first)]);
+    const network = new Set([key(first)]); // the first site, and the road and houses connected to it
+    const builds = [{ tick: 0, type: 'build', structure: types[0], x: first.x, y: first.y }];
+    const road = [];
+    for (let type of types.slice(1)) {
+        let site = null;
+        let path = null;
+        for (let candidate of findSites(world, type, taken.size + 20).filter(s => !taken.has(key(s)))) {
+            path = findRoad(world, candidate, network, taken);
+            if (path) {
+                site = candidate;
+                break;
+            }
+        }
+        if (!site) return null;
+
+        taken.add(key(site));
+        path.forEach(tile => {
+            road.push(tile);
+            taken.add(key(tile));
+            network.add(key(tile));
+        });
+        if (type === 'house') {
+            network.add(key(site));
+        }
+        builds.push({ tick: 0, type: 'build', structure: type, x: site.x, y: site.y });
+    }
+    return road.length > 0 ? [...builds, { tick: 0, type: 'road', tiles: road }] : builds;
+}
+
+// The shortest line of road from a site to a tile in the network, avoiding taken
+// tiles: empty if the site already touches it, null if no road can reach it
+export function findRoad(world, site, network, taken = new Set()) {
+    const key = tile => `${tile.x},${tile.y}`;
+    const previous = new Map([[key(site), null]]);
+    const queue = [site];
+    for (let i = 0; i < queue.length && i < 4000; i++) {
+        for (let [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const next = { x: queue[i].x + dx, y: queue[i].y + dy };
+            if (network.has(key(next))) {
+                const path = [];
+                for (let tile = queue[i]; tile !== site; tile = previous.get(key(tile))) {
+                    path.push(tile);
+                }
+                return path;
+            }
+            if (previous.has(key(next)) || taken.has(key(next))) continue;
+            if (!world.canBuildStructure(world.getTile(next.x, next.y), 'road').canBuild) continue;
+            previous.set(key(next), queue[i]);
+            queue.push(next);
+        }
+    }
+    return null;
+}
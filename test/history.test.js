@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameContext } from '../js/context.js';
+import { ReplayPlayer, Replay } from '../js/replay.js';
+import { findSites } from './helpers.js';
+
+const SEED = 42;
+
+// Context whose undo grace window runs on a clock the test controls
+function freshContext() {
+    const context = new GameContext(SEED);
+    context.clock = 0;
+    context.history.now = () => context.clock;
+    return context;
+}
+
+function resources(context) {
+    const { money, wood, food, stone, iron, uranium } = context.gameState;
+    return { money, wood, food, stone, iron, uranium };
+}
+
+test('undoing a build removes it and refunds its full cost', () => {
+    const context = freshContext();
+    const site = findSites(context.world, 'house', 1)[0];
+    const before = resources(context);
+
+    assert.ok(context.execute({ type: 'build', structure: 'house', ...site }).success);
+    assert.ok(context.undo().success);
+
+    assert.equal(context.world.getTile(site.x, site.y).structure, null);
+    assert.deepEqual(resources(context), before);
+});
+
+test('redo repeats an undone command', () => {
+    const context = freshContext();
+    const site = findSites(context.world, 'farm', 1)[0];
+
+    context.execute({ type: 'build', structure: 'farm', ...site });
+    context.undo();
+    const result = context.redo();
+
+    assert.ok(result.success, result.reason);
+    assert.equal(context.world.getTile(site.x, site.y).structure.type, 'farm');
+    assert.equal(context.redo().success, false);
+});
+
+test('a new command clears the redo stack', () => {
+    const context = freshContext();
+    context.execute({ type: 'policy', name: 'businessTax', value: 0.3 });
+    context.undo();
+    context.execute({ type: 'policy', name: 'businessTax', value: 0.4 });
+    assert.equal(context.redo().reason, 'Nothing to redo');
+});
+
+test('demolition refunds the configured share and undo takes it back', () => {
+    const context = freshContext();
+    const site = findSites(context.world, 'lumber', 1)[0];
+    context.execute({ type: 'build', structure: 'lumber', ...site });
+    const built = resources(context);
+
+    assert.ok(context.execute({ type: 'demolish', ...site, refund: 0.5 }).success);
+    assert.equal(context.gameState.money, built.money + 25); // half of $50
+    assert.equal(context.gameState.wood, built.wood + 10); // half of 20 wood
+
+    assert.ok(context.undo().success);
+    assert.deepEqual(resources(context), built);
+    assert.equal(context.world.getTile(site.x, site.y).structure.type, 'lumber');
+});
+
+test('demolition without a refund gives nothing back', () => {
+    const context = freshContext();
+    const site = findSites(context.world, 'lumber', 1)[0];
+    context.execute({ type: 'build', structure: 'lumber', ...site });
+    const built = resources(context);
+
+    context.execute({ type: 'demolish', ...site });
+    assert.deepEqual(resources(context), built);
+});
+
+test('undo works until the next tick, or within the grace window', () => {
+    const context = freshContext();
+    context.execute({ type: 'policy', name: 'businessTax', value: 0.3 });
+    context.tick();
+    context.clock = context.history.graceWindow; // still inside the window
+    assert.ok(context.undo().success);
+    assert.equal(context.gameState.policies.businessTax, 0.1);
+
+    context.execute({ type: 'policy', name: 'businessTax', value: 0.5 });
+    context.clock += context.history.graceWindow + 1;
+    assert.ok(context.undo().success, 'nothing has ticked since, so it is not too late');
+
+    context.execute({ type: 'policy', name: 'businessTax', value: 0.6 });
+    context.clock += context.history.graceWindow + 1;
+    context.tick();
+    const result = context.undo();
+    assert.equal(result.success, false);
+    assert.match(result.reason, /Too late to undo Business tax at 60%/);
+});
+
+test('dragging the tax slider undoes back to where it started', () => {
+    const context = freshContext();
+    [0.15, 0.2, 0.25, 0.3].forEach(rate => context.execute({ type: 'policy', name: 'businessTax', value: rate }));
+    context.undo();
+    assert.equal(context.gameState.policies.businessTax, 0.1);
+    assert.equal(context.history.nextUndo(), null);
+});
+
+test('sessions with undo and redo replay exactly', () => {
+    const context = freshContext();
+    const [farm, house] = findSites(context.world, 'farm', 2);
+    context.execute({ type: 'build', structure: 'farm', ...farm });
+    context.tick();
+    context.execute({ type: 'build', structure: 'house', ...house });
+    context.undo();
+    for (let i = 0; i < 20; i++) context.tick();
+    context.execute({ type: 'demolish', ...farm, refund: 1 });
+    context.undo();
+    context.redo();
+    for (let i = 0; i < 20; i++) context.tick();
+
+    const replay = Replay.parse(JSON.stringify(Replay.fromSave(JSON.parse(JSON.stringify(context)))));
+    assert.ok(replay.success, replay.reason);
+    const player = new ReplayPlayer(new GameContext(0), replay.replay);
+    player.seek(player.endTick);
+
+    const state = c => JSON.parse(JSON.stringify({ gameState: c.gameState, world: c.world, economy: c.economy }));
+    assert.deepEqual(state(player.context), state(context));
+});
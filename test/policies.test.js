@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameContext } from '../js/context.js';
+import { SaveFormat } from '../js/saves.js';
+import { Replay } from '../js/replay.js';
+import { runTown } from './helpers.js';
+
+const SEED = 42;
+
+// A house and workplace run for a while under a policy
+function withPolicy(name, value, types, ticks = 50, start = {}) {
+    const actions = value === undefined ? [] : [{ tick: 0, type: 'policy', name, value }];
+    return runTown(types, { seed: SEED, ticks, start, actions }).context;
+}
+
+test('rationing cuts food use and slows growth', () => {
+    const contexts = [false, true].map(rationing => {
+        const context = new GameContext(SEED);
+        context.execute({ type: 'policy', name: 'rationing', value: rationing });
+        context.gameState.population = 10;
+        context.gameState.food = 100;
+        return context;
+    });
+    contexts.forEach(context => context.tick());
+    const [normal, rationed] = contexts;
+    assert.equal(100 - normal.gameState.food, 5);
+    assert.equal(100 - rationed.gameState.food, 3.5);
+
+    // A fed town with work for everyone fills its house more slowly on rations
+    const growth = [false, true].map(rationing => withPolicy('rationing', rationing, ['house', 'farm', 'lumber'], 2).gameState.population);
+    assert.ok(growth[1] < growth[0], JSON.stringify(growth));
+});
+
+test('overtime raises output', () => {
+    const normal = withPolicy('overtime', undefined, ['house', 'lumber']);
+    const overtime = withPolicy('overtime', true, ['house', 'lumber']);
+    assert.ok(overtime.gameState.wood > normal.gameState.wood);
+});
+
+test('forest protection slows logging and spares thinned forest', () => {
+    const normal = withPolicy('forestProtection', undefined, ['house', 'lumber'], 400);
+    const protectedForests = withPolicy('forestProtection', true, ['house', 'lumber'], 400);
+    const start = 100 - 50 - 20; // starting wood minus the house and lumber camp
+    assert.ok(protectedForests.gameState.wood > start);
+    assert.ok(protectedForests.gameState.wood < normal.gameState.wood);
+
+    // Trees that were there from the start are never logged below half health
+    const lumber = protectedForests.economy.getAllStructures().find(structure => structure.type === 'lumber');
+    const world = protectedForests.world;
+    for (let dx = -8; dx <= 8; dx++) {
+        for (let dy = -8; dy <= 8; dy++) {
+            if (!world.generateTile(lumber.x + dx, lumber.y + dy).isForest) continue;
+            assert.ok(world.getTile(lumber.x + dx, lumber.y + dy).forestHealth >= 50);
+        }
+    }
+});
+
+test('export tariffs earn money but slow mines down', () => {
+    const start = { wood: 200 }; // enough for the house and the mine
+    const free = withPolicy('exportTariff', undefined, ['house', 'mine'], 50, start);
+    const tariffed = withPolicy('exportTariff', 0.4, ['house', 'mine'], 50, start);
+    assert.ok(tariffed.gameState.stone < free.gameState.stone);
+    assert.ok(tariffed.economy.ledger.getTotals(50).income.exportTariff > 0);
+    assert.equal(free.economy.ledger.getTotals(50).income.exportTariff || 0, 0);
+});
+
+test('policies are validated', () => {
+    const context = new GameContext(SEED);
+    assert.match(context.execute({ type: 'policy', name: 'exportTariff', value: 0.9 }).reason, /between 0% and 50%/);
+    assert.match(context.execute({ type: 'policy', name: 'rationing', value: 1 }).reason, /on or off/);
+    assert.match(context.execute({ type: 'policy', name: 'curfew', value: true }).reason, /Unknown policy/);
+});
+
+test('policies are saved with the game', () => {
+    const context = new GameContext(SEED);
+    context.execute({ type: 'policy', name: 'overtime', value: true });
+    context.execute({ type: 'policy', name: 'residentialTax', value: 0.25 });
+
+    const loaded = new GameContext(0);
+    loaded.load(SaveFormat.parse(JSON.stringify(context)).saveData);
+    assert.equal(loaded.gameState.policies.overtime, true);
+    assert.equal(loaded.gameState.policies.residentialTax, 0.25);
+    assert.equal(loaded.gameState.policies.rationing, false);
+});
+
+test('the old income tax becomes business and residential tax', () => {
+    const data = JSON.parse(JSON.stringify(new GameContext(SEED)));
+    data.version = 3;
+    delete data.gameState.policies;
+    data.gameState.incomeTaxRate = 0.35;
+    data.replay.commands = [{ tick: 4, type: 'tax', rate: 0.35 }];
+
+    const result = SaveFormat.upgrade(data);
+    assert.ok(result.success, result.reason);
+    assert.equal(result.saveData.gameState.policies.businessTax, 0.35);
+    assert.equal(result.saveData.gameState.policies.residentialTax, 0.35);
+    assert.deepEqual(result.saveData.replay.commands.map(c => c.name), ['businessTax', 'residentialTax']);
+
+    const replay = Replay.upgrade({ format: Replay.FORMAT, version: 1, seed: SEED, start: null, length: 10, commands: [{ tick: 4, type: 'tax', rate: 0.2 }] });
+    assert.ok(replay.success, replay.reason);
+    assert.equal(replay.replay.commands.length, 2);
+});
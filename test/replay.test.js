@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World } from '../js/world.js';
+import { SaveFormat } from '../js/saves.js';
+import { Replay, ReplayPlayer } from '../js/replay.js';
+import { buildActions, TOWN_SETTINGS } from './helpers.js';
+
+const SEED = 42;
+
+function recordedSession() {
+    const [house, farm, lumber] = buildActions(new World(SEED), ['house', 'farm', 'lumber']);
+    const actions = [
+        house,
+        { ...farm, tick: 20 },
+        { ...lumber, tick: 35 },
+        { tick: 40, type: 'policy', name: 'businessTax', value: 0.3 },
+        { tick: 90, type: 'upgrade', x: farm.x, y: farm.y },
+        { tick: 150, type: 'demolish', x: lumber.x, y: lumber.y },
+        { tick: 160, type: 'policy', name: 'businessTax', value: 0.05 }
+    ];
+    const { context, results } = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 250, actions });
+    assert.ok(context.gameState.population > 0 && context.gameState.employed > 0);
+    return { context, results };
+}
+
+// Simulation state only; the replay log and camera are not part of it
+function simulationState(context) {
+    const data = JSON.parse(JSON.stringify(context));
+    return { seed: data.seed, gameState: data.gameState, world: data.world, economy: data.economy };
+}
+
+function savedReplay(context) {
+    const parsed = Replay.parse(JSON.stringify(Replay.fromSave(JSON.parse(JSON.stringify(context)))));
+    assert.ok(parsed.success, parsed.reason);
+    return parsed.replay;
+}
+
+test('successful commands are recorded with the tick they ran on', () => {
+    const { context, results } = recordedSession();
+    const succeeded = results.filter(result => result.success).map(result => result.action);
+    assert.ok(succeeded.length < results.length, 'the upgrade should fail without stone');
+    assert.deepEqual(context.replay.commands, succeeded);
+});
+
+test('a replay rebuilds the session exactly from its seed', () => {
+    const { context } = recordedSession();
+    const player = new ReplayPlayer(new GameContext(0), savedReplay(context));
+    player.seek(player.endTick);
+
+    assert.equal(player.time, 250);
+    assert.deepEqual(simulationState(player.context), simulationState(context));
+});
+
+test('scrubbing back and forth lands on the same state', () => {
+    const { context } = recordedSession();
+    const player = new ReplayPlayer(new GameContext(0), savedReplay(context));
+    player.seek(120);
+    const midway = simulationState(player.context);
+
+    player.seek(240);
+    player.seek(30);
+    player.seek(120);
+    assert.deepEqual(simulationState(player.context), midway);
+
+    player.seek(player.endTick);
+    assert.deepEqual(simulationState(player.context), simulationState(context));
+});
+
+test('replays are read-only', () => {
+    const { context } = recordedSession();
+    const player = new ReplayPlayer(new GameContext(0), savedReplay(context));
+    const result = player.context.execute({ type: 'policy', name: 'businessTax', value: 0.5 });
+    assert.equal(result.success, false);
+});
+
+test('saves from before command history replay from the save itself', () => {
+    const { context } = recordedSession();
+    const legacy = JSON.parse(JSON.stringify(context));
+    delete legacy.replay;
+    legacy.version = 2;
+
+    const upgraded = SaveFormat.upgrade(legacy);
+    assert.ok(upgraded.success, upgraded.reason);
+    const loaded = new GameContext(0);
+    loaded.load(upgraded.saveData);
+    loaded.execute({ type: 'policy', name: 'businessTax', value: 0.2 });
+    for (let i = 0; i < 60; i++) loaded.tick();
+
+    const player = new ReplayPlayer(new GameContext(0), savedReplay(loaded));
+    assert.equal(player.startTick, 250);
+    player.seek(player.endTick);
+    assert.deepEqual(simulationState(player.context), simulationState(loaded));
+});
+
+test('replay files with unknown commands are rejected', () => {
+    const { context } = recordedSession();
+    const replay = Replay.fromSave(JSON.parse(JSON.stringify(context)));
+    replay.commands.push({ tick: 10, type: 'bulldoze' });
+    const result = Replay.parse(JSON.stringify(replay));
+    assert.equal(result.success, false);
+    assert.match(result.reason, /unknown type "bulldoze"/);
+});
+
+test('replay files with malformed commands are rejected', () => {
+    const { context } = recordedSession();
+    const attempt = command => {
+        const replay = Replay.fromSave(JSON.parse(JSON.stringify(context)));
+        replay.commands.push({ tick: 10, ...command });
+        return Replay.parse(JSON.stringify(replay)).reason;
+    };
+
+    assert.match(attempt({ type: 'road' }), /command #\d+ \(road\) has bad tiles: a road needs a list of tiles/);
+    assert.match(attempt({ type: 'road', tiles: [{ x: 1, y: '2' }] }), /road tiles need integer x\/y positions/);
+    assert.match(attempt({ type: 'build', structure: 'castle', x: 0, y: 0 }), /unknown structure "castle"/);
+    assert.match(attempt({ type: 'build', structure: 'farm', x: 0.5, y: 0 }), /no integer x\/y position/);
+    assert.match(attempt({ type: 'terraform', action: 'dig', x: 0, y: 0 }), /unknown action "dig"/);
+    assert.match(attempt({ type: 'loan', amount: null }), /has no amount/);
+    assert.match(attempt({ type: 'policy', name: 'curfew', value: true }), /unknown policy "curfew"/);
+    assert.match(attempt({ type: 'restore', structure: { type: 'farm', x: 0, y: 0 }, charge: {} }), /no structure to restore/);
+    assert.match(attempt({ type: 'reshape', x: 0, y: 0, tile: {}, refund: { money: 'lots' }, charge: {} }), /no tile fields, refund or charge/);
+    assert.equal(attempt({ type: 'plant', x: 3, y: -4 }), undefined);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameContext } from '../js/context.js';
+import { SaveFormat } from '../js/saves.js';
+import { Commands } from '../js/commands.js';
+import { findSites, findRoad, TOWN_SETTINGS } from './helpers.js';
+
+const SEED = 42;
+
+// A hub and a workplace at least `gap` tiles apart that a road can join, and that road
+function apart(world, hubType, workType, gap = 3) {
+    for (let hub of findSites(world, hubType, 10)) {
+        const network = new Set([`${hub.x},${hub.y}`]);
+        for (let site of findSites(world, workType, 60)) {
+            if (Math.abs(site.x - hub.x) + Math.abs(site.y - hub.y) < gap) continue;
+            const path = findRoad(world, site, network);
+            if (path && path.length > 0) {
+                return { hub, site, road: { type: 'road', tiles: path } };
+            }
+        }
+    }
+    throw new Error('No sites to join by road');
+}
+
+function build(context, type, site) {
+    const result = context.execute({ type: 'build', structure: type, ...site });
+    assert.ok(result.success, result.reason);
+    return context.world.getTile(site.x, site.y).structure;
+}
+
+test('structures only work once a road connects them to a house or storage', () => {
+    const context = new GameContext(SEED, TOWN_SETTINGS);
+    const { hub, site, road } = apart(context.world, 'house', 'lumber');
+    build(context, 'house', hub);
+    const lumber = build(context, 'lumber', site);
+    const wood = context.gameState.wood;
+
+    for (let i = 0; i < 5; i++) context.tick();
+    assert.ok(context.gameState.population > 0);
+    assert.equal(context.economy.isConnected(lumber), false);
+    assert.equal(context.gameState.wood, wood);
+
+    const result = context.execute(road);
+    assert.ok(result.success, result.reason);
+    assert.equal(context.economy.isConnected(lumber), true);
+    context.tick();
+    assert.ok(context.gameState.wood > wood);
+});
+
+test('commutes and hauls are measured along the road', () => {
+    const context = new GameContext(SEED);
+    const { hub, site, road } = apart(context.world, 'house', 'farm', 4);
+    const house = build(context, 'house', hub);
+    const farm = build(context, 'farm', site);
+    context.gameState.population = 3;
+    context.economy.assignWorkers();
+    assert.equal(context.gameState.employed, 0);
+
+    assert.ok(context.execute(road).success);
+    const distance = road.tiles.length + 1;
+    assert.equal(context.economy.roads.getDistances(house).get(farm), distance);
+    assert.equal(context.gameState.employed, 3);
+    assert.equal(context.economy.commuteTotal, 3 * distance);
+
+    context.economy.freeHaulDistance = 0;
+    assert.ok(Math.abs(context.economy.getTransportMultiplier(farm) - (1 - distance * context.economy.haulLossPerTile)) < 1e-9);
+    context.economy.haulLossPerTile = 1;
+    assert.equal(context.economy.getTransportMultiplier(farm), context.economy.minHaulShare);
+});
+
+test('roads follow the slope rules and are undone in one step', () => {
+    const context = new GameContext(SEED);
+    const { world, gameState } = context;
+    const { road } = apart(world, 'storage', 'lumber');
+    const money = gameState.money;
+
+    const steep = road.tiles[0];
+    const altitude = world.getTile(steep.x, steep.y).altitude;
+    world.getTile(steep.x + 1, steep.y).altitude = altitude + 5;
+    assert.match(context.execute(road).reason, /too steep for road/);
+    assert.ok(road.tiles.every(({ x, y }) => !world.getTile(x, y).structure));
+    world.getTile(steep.x + 1, steep.y).altitude = world.generateTile(steep.x + 1, steep.y).altitude;
+
+    assert.ok(context.execute(road).success);
+    assert.equal(gameState.money, money - 5 * road.tiles.length);
+    assert.ok(context.undo().success);
+    assert.ok(road.tiles.every(({ x, y }) => !world.getTile(x, y).structure));
+    assert.equal(gameState.money, money);
+});
+
+test('road tiles must be a connected path of a limited length', () => {
+    const context = new GameContext(SEED);
+    const { road } = apart(context.world, 'storage', 'lumber');
+    const money = context.gameState.money;
+    const attempt = tiles => context.execute({ type: 'road', tiles }).reason;
+
+    assert.match(attempt(null), /needs a list of tiles/);
+    assert.match(attempt([{ x: 0, y: 0.5 }]), /integer x\/y/);
+    assert.match(attempt([{ x: 0, y: 0 }, { x: 2, y: 0 }]), /\(2, 0\) is not next to the one before/);
+    const long = Array.from({ length: Commands.maxRoadLength + 1 }, (_, x) => ({ x, y: 0 }));
+    assert.match(attempt(long), /at most 500 tiles long/);
+    assert.match(context.execute({ type: 'unroad', tiles: [{ x: 0 }], refund: {} }).reason, /integer x\/y/);
+    assert.equal(context.gameState.money, money);
+
+    // Dragging back over the same tiles lays and charges each of them once
+    const back = [...road.tiles, ...road.tiles.slice(0, -1).reverse()];
+    assert.ok(context.execute({ type: 'road', tiles: back }).success);
+    assert.equal(context.gameState.money, money - 5 * road.tiles.length);
+});
+
+test('games saved before roads keep working without them', () => {
+    const context = new GameContext(SEED, TOWN_SETTINGS);
+    context.economy.roadsRequired = false; // as it was when the game was saved
+    const { hub, site } = apart(context.world, 'house', 'lumber');
+    build(context, 'house', hub);
+    build(context, 'lumber', site);
+    for (let i = 0; i < 5; i++) context.tick();
+    assert.ok(context.gameState.employed > 0);
+    const data = JSON.parse(JSON.stringify(context));
+    data.version = 6;
+    delete data.settings.rules;
+
+    const loaded = new GameContext(0);
+    loaded.load(SaveFormat.upgrade(data).saveData);
+    assert.equal(loaded.economy.roadsRequired, false);
+    const wood = loaded.gameState.wood;
+    loaded.tick();
+    assert.ok(loaded.gameState.wood > wood);
+});
@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World } from '../js/world.js';
+import { SaveCompression } from '../js/compression.js';
+import { SaveFormat, SaveStore } from '../js/saves.js';
+import { buildActions, TOWN_SETTINGS } from './helpers.js';
+
+const SEED = 7;
+
+// Minimal in-memory stand-in for localStorage, optionally holding at most `quota` characters
+class MemoryStorage {
+    constructor(quota = Infinity) {
+        this.items = new Map();
+        this.quota = quota;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        const others = [...this.items].reduce((total, [k, v]) => total + (k === key ? 0 : k.length + v.length), 0);
+        if (others + key.length + String(value).length > this.quota) {
+            const error = new Error('The quota has been exceeded.');
+            error.name = 'QuotaExceededError';
+            throw error;
+        }
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function playedColony() {
+    const actions = buildActions(new World(SEED), ['house', 'farm', 'lumber']);
+    const { context, results } = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 120, actions });
+    assert.ok(results.every(result => result.success), JSON.stringify(results));
+    assert.ok(context.gameState.population > 0 && context.gameState.employed > 0);
+    return context;
+}
+
+test('a loaded save carries on exactly like the game it came from', () => {
+    const original = playedColony();
+    const text = SaveCompression.decompress(SaveCompression.compress(JSON.stringify(original)));
+    const parsed = SaveFormat.parse(text);
+    assert.ok(parsed.success, parsed.reason);
+
+    const loaded = new GameContext(0);
+    loaded.load(parsed.saveData);
+
+    for (let i = 0; i < 120; i++) {
+        original.tick();
+        loaded.tick();
+    }
+    assert.deepEqual(JSON.parse(JSON.stringify(loaded)), JSON.parse(JSON.stringify(original)));
+});
+
+test('loading into a running game swaps its state in place and ticks on the same', () => {
+    const original = playedColony();
+    original.camera = { x: 12, y: -4, selectedX: 13, selectedY: -3 };
+    const saveData = SaveFormat.parse(JSON.stringify(original)).saveData;
+
+    // A context the panels already hold, in the middle of another game
+    const running = new GameContext(SEED + 1);
+    for (let i = 0; i < 30; i++) running.tick();
+    running.load(saveData);
+
+    assert.deepEqual(running.camera, original.camera);
+    assert.deepEqual(running.gameState.messages, original.gameState.messages);
+    for (let structure of running.economy.getAllStructures()) {
+        assert.equal(running.world.getTile(structure.x, structure.y).structure, structure);
+    }
+
+    for (let i = 0; i < 60; i++) {
+        original.tick();
+        running.tick();
+    }
+    assert.deepEqual(JSON.parse(JSON.stringify(running)), JSON.parse(JSON.stringify(original)));
+});
+
+test('compression round-trips non-ASCII text', () => {
+    const text = JSON.stringify({ name: 'Crèsville 🏠', repeated: 'abc'.repeat(5000) });
+    const compressed = SaveCompression.compress(text);
+    assert.ok(compressed.length < text.length);
+    assert.equal(SaveCompression.decompress(compressed), text);
+});
+
+test('save files from a newer version are rejected', () => {
+    const data = JSON.parse(JSON.stringify(playedColony()));
+    data.version = SaveFormat.VERSION + 1;
+    const result = SaveFormat.parse(JSON.stringify(data));
+    assert.equal(result.success, false);
+    assert.match(result.reason, /newer version/);
+});
+
+test('autosaves rotate without touching manual saves', () => {
+    const store = new SaveStore(new MemoryStorage());
+    const data = JSON.parse(JSON.stringify(playedColony()));
+
+    const manual = store.saveManual('Keep me', data).id;
+    for (let i = 0; i < 5; i++) {
+        store.saveAuto(data);
+    }
+
+    const saves = store.list();
+    assert.equal(saves.filter(save => save.kind === 'auto').length, store.autosaveSlots);
+    assert.ok(store.get(manual));
+    assert.deepEqual(store.read(manual), data);
+});
+
+test('a save that does not fit leaves the existing saves alone', () => {
+    const data = JSON.parse(JSON.stringify(playedColony()));
+    const size = SaveCompression.compress(JSON.stringify(data)).length;
+    const store = new SaveStore(new MemoryStorage(size * 1.5));
+    const saved = store.saveManual('First', data);
+    assert.ok(saved.success);
+    const index = store.list();
+
+    const bigger = { ...data, padding: Array.from({ length: size }, (_, i) => i * 7919 % 10007) };
+    const result = store.saveManual('First', bigger, saved.id);
+    assert.equal(result.success, false);
+    assert.match(result.reason, /Not enough storage space/);
+    assert.deepEqual(store.list(), index);
+    assert.deepEqual(store.read(saved.id), data);
+
+    assert.equal(store.saveAuto(bigger).success, false);
+    assert.deepEqual(store.list(), index);
+});
+
+test('old per-seed saves are moved into slots, skipping ones that cannot be read', () => {
+    const storage = new MemoryStorage();
+    const data = JSON.parse(JSON.stringify(playedColony()));
+    storage.setItem('saves', JSON.stringify([{ seed: 1, name: 'Good' }, { seed: 2, name: 'Broken' }]));
+    storage.setItem('gameSave_1', SaveCompression.compress(JSON.stringify(data)));
+    storage.setItem('gameSave_2', 'not a save');
+
+    const store = new SaveStore(storage);
+    assert.deepEqual(store.list().map(save => save.id), ['legacy_1']);
+    assert.deepEqual(store.read('legacy_1'), data);
+    assert.equal(storage.getItem('gameSave_1'), null);
+    assert.equal(storage.getItem('gameSave_2'), 'not a save');
+});
+
+test('a corrupt slot is reported instead of thrown', () => {
+    const storage = new MemoryStorage();
+    const store = new SaveStore(storage);
+    const id = store.saveManual('Damaged', JSON.parse(JSON.stringify(playedColony()))).id;
+    const raw = storage.getItem('gameSave_' + id);
+    storage.setItem('gameSave_' + id, raw.slice(0, raw.length / 2));
+
+    assert.equal(store.parse(id).success, false);
+    assert.match(store.parse(id).reason, /Not a valid save file/);
+    assert.equal(store.duplicate(id).success, false);
+    assert.equal(store.parse('missing').reason, 'Save not found');
+});
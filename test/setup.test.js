@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { GameContext } from '../js/context.js';
+import { World, PerlinNoise } from '../js/world.js';
+import { GameSetup } from '../js/setup.js';
+import { SaveFormat } from '../js/saves.js';
+import { Replay, ReplayPlayer } from '../js/replay.js';
+import { buildActions } from './helpers.js';
+
+const SEED = 42;
+
+function tilesAround(world, radius = 20) {
+    const tiles = [];
+    for (let x = -radius; x <= radius; x += 4) {
+        for (let y = -radius; y <= radius; y += 4) {
+            tiles.push(world.getTile(x, y).toJSON());
+        }
+    }
+    return tiles;
+}
+
+test('numeric seeds are kept and text seeds hash to a stable number', () => {
+    assert.equal(GameSetup.hashSeed('42'), 42);
+    assert.equal(GameSetup.hashSeed(' -7 '), -7);
+    assert.equal(GameSetup.hashSeed('river valley'), GameSetup.hashSeed('river valley'));
+    assert.notEqual(GameSetup.hashSeed('river valley'), GameSetup.hashSeed('river valleys'));
+    assert.ok(Number.isInteger(GameSetup.hashSeed('river valley')));
+});
+
+test('generator 1 with default options makes the same world as before options existed', () => {
+    const world = new World(SEED, { generator: 1 });
+    const perlin = new PerlinNoise(SEED);
+    for (let tile of tilesAround(world)) {
+        assert.equal(tile.altitude, Math.round(perlin.noise(tile.x * 0.1, tile.y * 0.1) * 30 - 10));
+    }
+});
+
+test('world options change generation', () => {
+    const count = (world, predicate) => tilesAround(world, 60).filter(predicate).length;
+    const water = tile => tile.altitude < 0;
+    assert.ok(count(new World(SEED, { seaLevel: 18 }), water) > count(new World(SEED), water));
+    assert.ok(count(new World(SEED, { forestDensity: 0.9 }), t => t.isForest) > count(new World(SEED), t => t.isForest));
+
+    const iron = world => tilesAround(world, 60).reduce((sum, tile) => sum + tile.resources.iron, 0);
+    assert.ok(iron(new World(SEED, { oreRichness: 2 })) > iron(new World(SEED)));
+});
+
+test('difficulty sets the starting stockpiles', () => {
+    const hard = new GameContext(SEED, GameSetup.fromDifficulty('hard'));
+    assert.equal(hard.gameState.money, GameSetup.DIFFICULTIES.hard.start.money);
+    assert.equal(hard.gameState.wood, GameSetup.DIFFICULTIES.hard.start.wood);
+});
+
+test('settings are saved so the world regenerates the same way', () => {
+    const settings = { difficulty: 'custom', world: { seaLevel: 4, roughness: 0.2, forestDensity: 0.7, oreRichness: 2 }, start: { money: 900, food: 80, wood: 300 } };
+    const context = new GameContext(SEED, settings);
+
+    const loaded = new GameContext(0);
+    loaded.load(SaveFormat.parse(JSON.stringify(context)).saveData);
+    assert.deepEqual(loaded.settings, GameSetup.normalize(settings));
+    assert.deepEqual(tilesAround(loaded.world), tilesAround(context.world));
+});
+
+test('replays rebuild a game made with custom settings', () => {
+    const settings = { ...GameSetup.fromDifficulty('relaxed'), world: { ...World.DEFAULT_OPTIONS, seaLevel: 6, forestDensity: 0.5 } };
+    const actions = buildActions(new World(SEED, settings.world), ['house', 'farm', 'lumber']);
+    const { context } = runSimulation({ seed: SEED, settings, ticks: 120, actions });
+
+    const parsed = Replay.parse(JSON.stringify(Replay.fromSave(JSON.parse(JSON.stringify(context)))));
+    assert.ok(parsed.success, parsed.reason);
+    const player = new ReplayPlayer(new GameContext(0), parsed.replay);
+    player.seek(player.endTick);
+    assert.deepEqual(player.context.gameState.toJSON(), context.gameState.toJSON());
+});
+
+test('saves from before settings existed keep the generator they were made with', () => {
+    const data = JSON.parse(JSON.stringify(new GameContext(SEED)));
+    data.version = 4;
+    delete data.settings;
+    delete data.world.options;
+
+    const result = SaveFormat.upgrade(data);
+    assert.ok(result.success, result.reason);
+    const defaults = GameSetup.getDefaults();
+    assert.deepEqual(result.saveData.settings, { ...defaults, world: { ...defaults.world, generator: 1 }, rules: { roads: false } });
+    assert.equal(result.saveData.world.options.generator, 1);
+});
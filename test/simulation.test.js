@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSimulation } from '../js/headless.js';
+import { SeededRandom, World } from '../js/world.js';
+import { buildActions, runTown, TOWN_SETTINGS } from './helpers.js';
+
+const SEED = 42;
+
+function colonyActions(seed) {
+    const world = new World(seed);
+    return buildActions(world, ['house', 'farm', 'lumber']);
+}
+
+test('SeededRandom repeats its sequence for the same seed', () => {
+    const a = new SeededRandom(1234);
+    const b = new SeededRandom(1234);
+    const c = new SeededRandom(4321);
+    const first = Array.from({ length: 20 }, () => a.next());
+    assert.deepEqual(Array.from({ length: 20 }, () => b.next()), first);
+    assert.notDeepEqual(Array.from({ length: 20 }, () => c.next()), first);
+});
+
+test('world generation depends only on seed and position', () => {
+    const a = new World(SEED);
+    const b = new World(SEED);
+    // Visit chunks in a different order; tiles must not depend on it
+    b.getTile(100, 100);
+    for (let x = -20; x <= 20; x += 5) {
+        for (let y = -20; y <= 20; y += 5) {
+            assert.deepEqual(a.getTile(x, y).toJSON(), b.getTile(x, y).toJSON());
+        }
+    }
+    assert.notDeepEqual(
+        Array.from({ length: 10 }, (_, i) => new World(1).getTile(i, 0).altitude),
+        Array.from({ length: 10 }, (_, i) => new World(2).getTile(i, 0).altitude)
+    );
+});
+
+test('the same seed and actions give the same result', () => {
+    const actions = [...colonyActions(SEED), { tick: 50, type: 'policy', name: 'businessTax', value: 0.2 }];
+    const first = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 300, actions });
+    const second = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 300, actions });
+
+    assert.ok(first.results.every(result => result.success), JSON.stringify(first.results));
+    assert.equal(first.context.gameState.time, 300);
+    assert.ok(first.context.gameState.population > 0 && first.context.gameState.employed > 0);
+    assert.deepEqual(JSON.parse(JSON.stringify(second.context)), JSON.parse(JSON.stringify(first.context)));
+});
+
+test('batched ticks match ticking one at a time', () => {
+    const actions = colonyActions(SEED);
+    const stepped = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 200, actions }).context;
+    const batched = runSimulation({ seed: SEED, settings: TOWN_SETTINGS, ticks: 0, actions }).context;
+    batched.economy.tickBatch(200);
+    assert.ok(stepped.gameState.population > 0 && stepped.gameState.employed > 0);
+
+    const state = context => {
+        const data = JSON.parse(JSON.stringify(context));
+        delete data.gameState.messages; // batches mute the log
+        return data;
+    };
+    assert.deepEqual(state(batched), state(stepped));
+});
+
+test('actions report why they failed', () => {
+    const { results } = runSimulation({
+        seed: SEED,
+        ticks: 1,
+        actions: [
+            { tick: 0, type: 'policy', name: 'businessTax', value: 2 },
+            { tick: 0, type: 'build', structure: 'house', x: 0, y: 0 },
+            { tick: 0, type: 'launch' }
+        ]
+    });
+    assert.equal(results[0].success, false);
+    assert.match(results[0].reason, /between 0% and 100%/);
+    assert.equal(typeof results[1].success, 'boolean');
+    assert.equal(results[2].success, false);
+    assert.match(results[2].reason, /Unknown command/);
+});
+
+test('people leave when food runs out', () => {
+    const { context } = runSimulation({ seed: SEED, ticks: 0, actions: colonyActions(SEED).filter(a => a.structure === 'house') });
+    const gameState = context.gameState;
+    gameState.population = 5;
+    gameState.food = 0; // 5 people eat 2.5 a tick
+
+    context.tick();
+
+    assert.equal(gameState.food, 0);
+    assert.equal(gameState.population, 4);
+    assert.ok(gameState.messages.some(m => m.text === '1 people left due to hunger'));
+});
+
+test('population grows into empty houses while food lasts', () => {
+    const { context } = runSimulation({ seed: SEED, ticks: 0, actions: colonyActions(SEED) });
+    context.economy.commuteRadius = 50; // everyone can reach a job, so nobody is unhappy
+    context.gameState.food = 1000;
+    for (let i = 0; i < 10; i++) context.tick();
+    assert.equal(context.gameState.population, 5); // one level 1 house
+});
+
+// A house and farm under a business tax rate set at the given tick
+function farmTown(rate, rateTick, ticks = 10) {
+    const { context, built } = runTown(['house', 'farm'], { seed: SEED, ticks, actions: [{ tick: rateTick, type: 'policy', name: 'businessTax', value: rate }] });
+    return { context, farm: built[1] };
+}
+
+test('farms go bankrupt when taxes take all their income', () => {
+    const { context, farm } = farmTown(1, 5);
+
+    assert.equal(context.economy.getAllStructures().filter(structure => structure.type === 'farm').length, 0);
+    assert.equal(context.world.getTile(farm.x, farm.y).structure, null);
+    assert.ok(context.gameState.messages.some(m => m.text === 'Farm went bankrupt due to high taxes'));
+});
+
+test('farms survive and pay their tax into the treasury below 100%', () => {
+    const untaxed = farmTown(0, 0).context;
+    const taxed = farmTown(0.9, 0).context;
+
+    assert.equal(taxed.economy.getAllStructures().filter(structure => structure.type === 'farm').length, 1);
+    assert.ok(taxed.gameState.money > untaxed.gameState.money);
+    assert.ok(taxed.economy.ledger.getTotals(10).income.businessTax > 0);
+});
+
+test('workplaces with nobody to staff them produce nothing', () => {
+    const { context } = runSimulation({ seed: SEED, ticks: 0, actions: buildActions(new World(SEED), ['storage', 'farm', 'lumber']) });
+    const { food, wood } = context.gameState;
+    for (let i = 0; i < 100; i++) context.tick();
+
+    assert.equal(context.gameState.employed, 0);
+    assert.equal(context.gameState.food, food);
+    assert.equal(context.gameState.wood, wood);
+    assert.equal(context.economy.getAllStructures().filter(structure => structure.type === 'farm').length, 1);
+});
+
+test('a new game on Normal settles its first residents even with little food in store', () => {
+    const actions = buildActions(new World(SEED), ['house', 'farm']);
+    const { context, results } = runSimulation({ seed: SEED, settings: { difficulty: 'normal' }, ticks: 5, actions });
+    assert.ok(results.every(result => result.success), JSON.stringify(results));
+    assert.ok(context.gameState.food <= 50);
+
+    assert.ok(context.gameState.population > 0);
+    assert.ok(context.gameState.employed > 0);
+    assert.ok(context.economy.foodBalance.produced > 0);
+});
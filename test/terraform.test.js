@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameContext } from '../js/context.js';
+import { SaveFormat } from '../js/saves.js';
+import { Terraform } from '../js/terraform.js';
+
+const SEED = 42;
+
+// The nearest tile to the origin matching a test
+function findTile(world, test) {
+    for (let radius = 0; radius <= 200; radius++) {
+        for (let x = -radius; x <= radius; x++) {
+            for (let y = -radius; y <= radius; y++) {
+                if (Math.max(Math.abs(x), Math.abs(y)) !== radius) continue;
+                const tile = world.getTile(x, y);
+                if (test(tile)) return tile;
+            }
+        }
+    }
+    throw new Error('No matching tile');
+}
+
+function isOpenLand(tile) {
+    return tile.altitude >= 1 && !tile.isForest && !tile.isRiver;
+}
+
+test('moving the ground further costs more per level', () => {
+    const costs = [1, 2, 3, 4].map(levels => Terraform.getCost(levels).money / levels);
+    costs.slice(1).forEach((cost, i) => assert.ok(cost > costs[i]));
+});
+
+test('flattening a steep tile makes it buildable', () => {
+    const context = new GameContext(SEED);
+    const { world, gameState } = context;
+    const tile = findTile(world, tile => isOpenLand(tile) && world.canBuildStructure(tile, 'house').canBuild);
+    const level = Terraform.getLevelAltitude(world, tile);
+    tile.altitude = level + 3;
+    assert.match(world.canBuildStructure(tile, 'house').reason, /too steep/);
+
+    const money = gameState.money;
+    assert.ok(context.execute({ type: 'terraform', action: 'flatten', x: tile.x, y: tile.y }).success);
+    assert.equal(tile.altitude, level);
+    assert.equal(money - gameState.money, Terraform.getCost(3).money);
+    assert.ok(world.canBuildStructure(tile, 'house').canBuild);
+    assert.match(context.execute({ type: 'terraform', action: 'flatten', x: tile.x, y: tile.y }).reason, /Already level/);
+});
+
+test('terraforming is refused where it cannot be done', () => {
+    const context = new GameContext(SEED);
+    const { world } = context;
+    const forest = findTile(world, tile => tile.isForest);
+    const deep = findTile(world, tile => tile.altitude < -Terraform.maxFillDepth);
+    const land = findTile(world, isOpenLand);
+    const attempt = (tile, action) => context.execute({ type: 'terraform', action, x: tile.x, y: tile.y }).reason;
+
+    assert.match(attempt(forest, 'raise'), /Clear the forest first/);
+    assert.match(attempt(deep, 'fill'), /Too deep/);
+    assert.match(attempt(deep, 'lower'), /Fill the water first/);
+    assert.match(attempt(land, 'fill'), /No water/);
+    assert.match(attempt(land, 'dig'), /Unknown terraforming action/);
+
+    land.altitude = 0;
+    assert.match(attempt(land, 'lower'), /below sea level/);
+
+    context.gameState.money = 0;
+    assert.match(attempt(land, 'raise'), /Not enough money/);
+});
+
+test('filling shallow water takes stone and makes dry land', () => {
+    const context = new GameContext(SEED);
+    const { world, gameState } = context;
+    const tile = findTile(world, tile => tile.altitude === -2);
+    gameState.stone = 100;
+
+    assert.ok(context.execute({ type: 'terraform', action: 'fill', x: tile.x, y: tile.y }).success);
+    assert.equal(tile.altitude, 0);
+    assert.equal(gameState.stone, 100 - 2 * Terraform.fillStonePerLevel);
+    assert.notEqual(world.canBuildStructure(tile, 'house').reason, 'Cannot build on water');
+});
+
+test('clearing forest gives wood, and undoing it takes the wood back', () => {
+    const context = new GameContext(SEED);
+    const { world, gameState } = context;
+    const tile = findTile(world, tile => tile.isForest && tile.forestHealth >= 50);
+    const health = tile.forestHealth;
+    const wood = gameState.wood;
+
+    assert.ok(context.execute({ type: 'terraform', action: 'clear', x: tile.x, y: tile.y }).success);
+    assert.equal(tile.isForest, false);
+    assert.equal(gameState.wood - wood, Math.floor(health * Terraform.clearingWoodPerHealth));
+
+    assert.ok(context.undo().success);
+    assert.equal(tile.isForest, true);
+    assert.equal(tile.forestHealth, health);
+    assert.equal(gameState.wood, wood);
+    assert.equal(gameState.money, 500);
+});
+
+test('terraformed tiles are kept in saves', () => {
+    const context = new GameContext(SEED);
+    const { world, gameState } = context;
+    const river = findTile(world, tile => tile.isRiver);
+    const land = findTile(world, isOpenLand);
+    const altitude = land.altitude;
+    gameState.stone = 100;
+    assert.ok(context.execute({ type: 'terraform', action: 'fill', x: river.x, y: river.y }).success);
+    assert.ok(context.execute({ type: 'terraform', action: 'raise', x: land.x, y: land.y }).success);
+
+    const loaded = new GameContext(0);
+    loaded.load(SaveFormat.parse(JSON.stringify(context)).saveData);
+    assert.equal(loaded.world.getTile(river.x, river.y).isRiver, false);
+    assert.equal(loaded.world.getTile(land.x, land.y).altitude, altitude + 1);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../js/world.js';
+
+const SEED = 42;
+const RADIUS = 96;
+
+function scan(world, visit) {
+    for (let x = -RADIUS; x <= RADIUS; x++) {
+        for (let y = -RADIUS; y <= RADIUS; y++) {
+            visit(world.getTile(x, y));
+        }
+    }
+}
+
+function riverTiles(world) {
+    const rivers = [];
+    scan(world, tile => {
+        if (tile.isRiver) rivers.push(tile);
+    });
+    return rivers;
+}
+
+test('rivers do not depend on the order the world is explored in', () => {
+    const rivers = riverTiles(new World(SEED));
+    assert.ok(rivers.length > 0);
+
+    // Start far away and come back from the other side
+    const world = new World(SEED);
+    world.getTile(500, -500);
+    world.getTile(RADIUS + 40, RADIUS + 40);
+    for (let tile of rivers) {
+        assert.equal(world.getTile(tile.x, tile.y).isRiver, true, `(${tile.x}, ${tile.y})`);
+    }
+});
+
+test('rivers run in connected channels down to the sea', () => {
+    const world = new World(SEED);
+    const rivers = riverTiles(world);
+    let mouths = 0;
+    for (let tile of rivers) {
+        const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dx, dy]) => world.getTile(tile.x + dx, tile.y + dy));
+        assert.ok(neighbors.some(n => n.isRiver || n.altitude < 0), `river at (${tile.x}, ${tile.y}) is isolated`);
+        if (neighbors.some(n => n.altitude < 0)) mouths++;
+    }
+    assert.ok(mouths > 0);
+    assert.equal(world.canBuildStructure(rivers[0], 'house').reason, 'Cannot build on a river');
+});
+
+test('biomes decide where forests grow', () => {
+    const world = new World(SEED, { forestDensity: 0.5 });
+    const counts = {};
+    scan(world, tile => {
+        const count = counts[tile.biome] || (counts[tile.biome] = { tiles: 0, forests: 0 });
+        count.tiles++;
+        if (tile.isForest) count.forests++;
+    });
+
+    assert.equal(counts.water.forests, 0);
+    if (counts.desert) assert.equal(counts.desert.forests, 0);
+    assert.ok(counts.woodland.forests / counts.woodland.tiles > counts.grassland.forests / counts.grassland.tiles);
+});
+
+test('ore comes in veins, with uranium only in the mountains', () => {
+    const world = new World(SEED);
+    let tiles = 0;
+    let iron = 0;
+    let uranium = 0;
+    scan(world, tile => {
+        tiles++;
+        if (tile.resources.iron > 0) iron++;
+        if (tile.resources.uranium > 0) {
+            uranium++;
+            assert.ok(tile.altitude >= 10);
+        }
+    });
+    assert.ok(iron > 0 && iron < tiles * 0.2);
+    assert.ok(uranium > 0 && uranium < iron);
+});